@@ -0,0 +1,245 @@
+// Camera with a position, a target it looks at and a switchable perspective / orthographic projection.
+// Assign one to scene.camera and drawScene() uses its view and projection matrices instead of the fixed ones from
+// initGL(), and keeps the viewport and aspect ratio in sync with the canvas size.
+
+// options (all optional):
+// mode         "perspective" or "orthographic"
+// position     vec3 where the camera is, defaults to the origin
+// target       vec3 the camera looks at, defaults to the middle of the figure sheet at z = -3.5
+// up           vec3 up direction
+// fov          vertical field of view in radians, perspective mode only
+// orthoHeight  height of the visible area in world units, orthographic mode only
+// near, far    clipping planes
+function createCamera(canvas, options)
+{
+    options = options || {};
+
+    var camera = {
+        mode: "perspective",
+        position: options.position || [0, 0, 0],
+        target: options.target || [0, 0, -3.5],
+        up: options.up || [0, 1, 0],
+        fov: options.fov || Math.PI / 4,
+        orthoHeight: options.orthoHeight,
+        near: options.near || 1,
+        far: options.far || 10000,
+        aspect: canvas.width / canvas.height,
+        viewMatrix: mat4.create(),
+        projectionMatrix: mat4.create()
+    };
+
+    setCameraMode(camera, options.mode || "perspective");
+    return camera;
+}
+
+// Switches between "perspective" and "orthographic". When the orthographic height hasn't been set, it is chosen so
+// that the figures at the target keep the size they have in perspective mode.
+function setCameraMode(camera, mode)
+{
+    if (mode != "perspective" && mode != "orthographic")
+        throw new Error("Unknown camera mode: " + mode);
+
+    if (mode == "orthographic" && !camera.orthoHeight)
+        camera.orthoHeight = 2 * vec3.distance(camera.position, camera.target) * Math.tan(camera.fov / 2);
+
+    camera.mode = mode;
+    updateCameraMatrices(camera);
+}
+
+// Recomputes camera.viewMatrix and camera.projectionMatrix from the camera's current settings
+function updateCameraMatrices(camera)
+{
+    // lookAt(out, eye, center, up) → {mat4}
+    mat4.lookAt(camera.viewMatrix, camera.position, camera.target, camera.up);
+
+    if (camera.mode == "orthographic")
+    {
+        var halfHeight = camera.orthoHeight / 2;
+        var halfWidth = halfHeight * camera.aspect;
+        // ortho(out, left, right, bottom, top, near, far) → {mat4}
+        mat4.ortho(camera.projectionMatrix, -halfWidth, halfWidth, -halfHeight, halfHeight, camera.near, camera.far);
+    }
+    else
+    {
+        mat4.perspective(camera.projectionMatrix, camera.fov, camera.aspect, camera.near, camera.far);
+    }
+}
+
+// Matches the canvas' drawing buffer to its displayed size, then updates the viewport and the camera's aspect ratio.
+// Called by drawScene() before every frame, so resizing the canvas with CSS doesn't distort the figures.
+function resizeCamera(gl, camera, canvas)
+{
+    var width = canvas.clientWidth || canvas.width;
+    var height = canvas.clientHeight || canvas.height;
+
+    if (canvas.width != width || canvas.height != height)
+    {
+        canvas.width = width;
+        canvas.height = height;
+    }
+
+    initViewport(gl, canvas);
+    camera.aspect = canvas.width / canvas.height;
+    updateCameraMatrices(camera);
+}
+
+// Rotates the camera around its target: yaw around the up axis, pitch towards or away from it (radians).
+function orbitCamera(camera, yaw, pitch)
+{
+    var offset = vec3.subtract(vec3.create(), camera.position, camera.target);
+    var radius = vec3.length(offset);
+    if (radius == 0)
+        return;
+
+    // Spherical coordinates of the offset: theta around y, phi from +y. Phi is kept off the poles so lookAt stays valid.
+    var theta = Math.atan2(offset[0], offset[2]) - yaw;
+    var phi = Math.acos(Math.min(Math.max(offset[1] / radius, -1), 1)) - pitch;
+    phi = Math.min(Math.max(phi, 0.01), Math.PI - 0.01);
+
+    camera.position = [
+        camera.target[0] + radius * Math.sin(phi) * Math.sin(theta),
+        camera.target[1] + radius * Math.cos(phi),
+        camera.target[2] + radius * Math.sin(phi) * Math.cos(theta)
+    ];
+    updateCameraMatrices(camera);
+}
+
+// Moves the camera and its target together along the screen's horizontal and vertical directions (world units).
+function panCamera(camera, dx, dy)
+{
+    var forward = vec3.subtract(vec3.create(), camera.target, camera.position);
+    var right = vec3.normalize(vec3.create(), vec3.cross(vec3.create(), forward, camera.up));
+    var up = vec3.normalize(vec3.create(), vec3.cross(vec3.create(), right, forward));
+
+    var move = vec3.create();
+    vec3.scaleAndAdd(move, move, right, -dx);
+    vec3.scaleAndAdd(move, move, up, dy);
+
+    camera.position = vec3.add(vec3.create(), camera.position, move);
+    camera.target = vec3.add(vec3.create(), camera.target, move);
+    updateCameraMatrices(camera);
+}
+
+// Zooms by the given factor: > 1 moves closer (or shrinks the orthographic area), < 1 moves away.
+function zoomCamera(camera, factor)
+{
+    if (camera.mode == "orthographic")
+    {
+        camera.orthoHeight /= factor;
+    }
+    else
+    {
+        var offset = vec3.subtract(vec3.create(), camera.position, camera.target);
+        vec3.scale(offset, offset, 1 / factor);
+        camera.position = vec3.add(vec3.create(), camera.target, offset);
+    }
+    updateCameraMatrices(camera);
+}
+
+// Mouse and touch controls:
+// left drag / one finger orbits, right or shift + left drag / two fingers pans, wheel / pinch zooms.
+// Returns a function that removes the listeners again.
+function attachCameraControls(camera, canvas)
+{
+    var rotateSpeed = 0.01;
+    var zoomSpeed = 0.001;
+    var dragging = null, lastX = 0, lastY = 0, lastPinch = 0;
+
+    // World units covered by one pixel at the target, so a pan follows the pointer
+    function panScale()
+    {
+        var height = camera.mode == "orthographic" ? camera.orthoHeight :
+            2 * vec3.distance(camera.position, camera.target) * Math.tan(camera.fov / 2);
+        return height / canvas.clientHeight;
+    }
+
+    function drag(mode, x, y)
+    {
+        var dx = x - lastX, dy = y - lastY;
+        lastX = x;
+        lastY = y;
+
+        if (mode == "orbit")
+            orbitCamera(camera, dx * rotateSpeed, dy * rotateSpeed);
+        else
+            panCamera(camera, dx * panScale(), dy * panScale());
+    }
+
+    function touchCenter(touches)
+    {
+        return [(touches[0].clientX + touches[1].clientX) / 2, (touches[0].clientY + touches[1].clientY) / 2];
+    }
+
+    function touchDistance(touches)
+    {
+        return Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+    }
+
+    var listeners = {
+        mousedown: function(event) {
+            dragging = event.button == 2 || event.shiftKey ? "pan" : "orbit";
+            lastX = event.clientX;
+            lastY = event.clientY;
+        },
+        mousemove: function(event) {
+            if (dragging)
+                drag(dragging, event.clientX, event.clientY);
+        },
+        mouseup: function() {
+            dragging = null;
+        },
+        mouseleave: function() {
+            dragging = null;
+        },
+        wheel: function(event) {
+            event.preventDefault();
+            zoomCamera(camera, Math.exp(-event.deltaY * zoomSpeed));
+        },
+        contextmenu: function(event) {
+            event.preventDefault();
+        },
+        touchstart: function(event) {
+            event.preventDefault();
+            if (event.touches.length == 1)
+            {
+                lastX = event.touches[0].clientX;
+                lastY = event.touches[0].clientY;
+            }
+            else if (event.touches.length == 2)
+            {
+                var center = touchCenter(event.touches);
+                lastX = center[0];
+                lastY = center[1];
+                lastPinch = touchDistance(event.touches);
+            }
+        },
+        touchmove: function(event) {
+            event.preventDefault();
+            if (event.touches.length == 1)
+            {
+                drag("orbit", event.touches[0].clientX, event.touches[0].clientY);
+            }
+            else if (event.touches.length == 2)
+            {
+                var center = touchCenter(event.touches);
+                var pinch = touchDistance(event.touches);
+                drag("pan", center[0], center[1]);
+                if (lastPinch > 0)
+                    zoomCamera(camera, pinch / lastPinch);
+                lastPinch = pinch;
+            }
+        },
+        touchend: function(event) {
+            // Restart from the remaining finger(s) so the camera doesn't jump
+            listeners.touchstart(event);
+        }
+    };
+
+    for (var type in listeners)
+        canvas.addEventListener(type, listeners[type], {passive: false});
+
+    return function() {
+        for (var type in listeners)
+            canvas.removeEventListener(type, listeners[type], {passive: false});
+    };
+}
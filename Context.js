@@ -0,0 +1,234 @@
+// WebGL context and shader program management:
+// - createWebGLContext() asks for the newest WebGL version the browser supports
+// - ShaderCompileError / ShaderLinkError carry the driver's info log and the failing source lines
+// - getShaderProgram() compiles and links each vertex / fragment source pair once per context
+// - watchContextLoss() rebuilds every figure buffer and program when a lost context comes back
+
+// Context ids tried in order. WebGL2 runs the GLSL ES 1.0 shaders used here unchanged.
+var webglContextIds = ["webgl2", "webgl", "experimental-webgl"];
+
+// Returns the first context the canvas can create, or throws when WebGL isn't available at all.
+// attributes: optional WebGLContextAttributes, e.g. {antialias: false}
+function createWebGLContext(canvas, attributes)
+{
+    var failures = [];
+
+    for (var i = 0; i < webglContextIds.length; i++)
+    {
+        try
+        {
+            var gl = canvas.getContext(webglContextIds[i], attributes);
+            if (gl)
+                return gl;
+        }
+        catch (e)
+        {
+            failures.push(webglContextIds[i] + ": " + e.toString());
+        }
+    }
+
+    throw new Error("Your browser does not support WebGL, or it is not enabled by default." +
+        (failures.length ? " " + failures.join("; ") : ""));
+}
+
+// Picks the source lines an info log complains about ("ERROR: 0:12: ..." refers to line 12) and returns them
+// numbered, to show next to the log.
+function shaderErrorLines(source, infoLog)
+{
+    var lines = source.split("\n");
+    var numbers = [];
+    var pattern = /ERROR:\s*\d+:(\d+)/g, match;
+
+    while ((match = pattern.exec(infoLog)) !== null)
+    {
+        var number = parseInt(match[1], 10);
+        if (number >= 1 && number <= lines.length && numbers.indexOf(number) < 0)
+            numbers.push(number);
+    }
+
+    return numbers.map(function(number) {
+        return number + ": " + lines[number - 1].trim();
+    });
+}
+
+// Thrown when a vertex or fragment shader doesn't compile.
+// type: "vertex" or "fragment", infoLog: the compiler output, source: the shader source,
+// lines: the numbered source lines the log refers to.
+function ShaderCompileError(type, infoLog, source)
+{
+    this.name = "ShaderCompileError";
+    this.type = type;
+    this.infoLog = infoLog;
+    this.source = source;
+    this.lines = shaderErrorLines(source, infoLog);
+    this.message = "Could not compile " + type + " shader:\n" + infoLog.trim() +
+        (this.lines.length ? "\n" + this.lines.join("\n") : "");
+    this.stack = new Error(this.message).stack;
+}
+ShaderCompileError.prototype = Object.create(Error.prototype);
+ShaderCompileError.prototype.constructor = ShaderCompileError;
+
+// Thrown when compiled shaders don't link into a program, e.g. because a varying doesn't match.
+function ShaderLinkError(infoLog, vertexSource, fragmentSource)
+{
+    this.name = "ShaderLinkError";
+    this.infoLog = infoLog;
+    this.vertexSource = vertexSource;
+    this.fragmentSource = fragmentSource;
+    this.message = "Could not link shader program:\n" + infoLog.trim();
+    this.stack = new Error(this.message).stack;
+}
+ShaderLinkError.prototype = Object.create(Error.prototype);
+ShaderLinkError.prototype.constructor = ShaderLinkError;
+
+// Per context bookkeeping: the compiled programs by source, and every figure whose buffers must be rebuilt after a
+// context loss.
+var contextStates = new WeakMap();
+
+function contextState(gl)
+{
+    var state = contextStates.get(gl);
+    if (!state)
+    {
+        state = {programs: {}, figures: []};
+        contextStates.set(gl, state);
+    }
+    return state;
+}
+
+// Returns the linked program for the pair of sources, compiling it the first time it is asked for on this context.
+// Throws ShaderCompileError or ShaderLinkError.
+function getShaderProgram(gl, vertexSource, fragmentSource)
+{
+    var programs = contextState(gl).programs;
+    var key = vertexSource + "\0" + fragmentSource;
+    if (programs[key])
+        return programs[key];
+
+    var vertexShader = createShader(gl, vertexSource, "vertex");
+    var fragmentShader;
+    try
+    {
+        fragmentShader = createShader(gl, fragmentSource, "fragment");
+    }
+    catch (e)
+    {
+        gl.deleteShader(vertexShader);
+        throw e;
+    }
+
+    var program = gl.createProgram();
+    gl.attachShader(program, vertexShader);
+    gl.attachShader(program, fragmentShader);
+    gl.linkProgram(program);
+
+    // The program keeps what it needs once linked
+    gl.deleteShader(vertexShader);
+    gl.deleteShader(fragmentShader);
+
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS))
+    {
+        var infoLog = gl.getProgramInfoLog(program) || "";
+        gl.deleteProgram(program);
+        throw new ShaderLinkError(infoLog, vertexSource, fragmentSource);
+    }
+
+    programs[key] = program;
+    return program;
+}
+
+// Remembers the figure so its buffers are rebuilt after a context loss. Called by every function that creates one.
+function registerFigure(gl, figure)
+{
+    contextState(gl).figures.push(figure);
+    return figure;
+}
+
+// Frees the figure's buffers; it can't be drawn anymore afterwards
+function deleteFigure(gl, figure)
+{
+    var figures = contextState(gl).figures;
+    var index = figures.indexOf(figure);
+    if (index >= 0)
+        figures.splice(index, 1);
+
+    [figure.buffer, figure.indexBuffer, figure.colorBuffer].forEach(function(buffer) {
+        if (buffer)
+            gl.deleteBuffer(buffer);
+    });
+}
+
+// Uploads the figure's CPU-side data again into new buffers
+function restoreFigureBuffers(gl, figure)
+{
+    figure.buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, figure.buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, figure.mesh ? interleaveMeshData(figure.mesh) : new Float32Array(figure.verts), gl.STATIC_DRAW);
+
+    if (figure.indexBuffer)
+    {
+        figure.indexBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, figure.indexBuffer);
+        var indices = figure.indexType == gl.UNSIGNED_INT ? new Uint32Array(figure.indices) : new Uint16Array(figure.indices);
+        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.STATIC_DRAW);
+    }
+
+    if (figure.colorBuffer)
+    {
+        figure.colorBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, figure.colorBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(figure.vertexColors), gl.STATIC_DRAW);
+    }
+}
+
+// Keeps the canvas drawing across a context loss (GPU reset, driver update, too many contexts...).
+// When the context comes back, its renderer (see Renderer.js) sets up the render state, viewport and shaders again,
+// every registered figure gets new buffers, and onRestored(gl), if given, is called for anything else the page
+// created on the GPU. Renderers watch their context already; calling this again only adds the callback.
+// Returns a function that removes the callback.
+function watchContextLoss(gl, onRestored)
+{
+    var state = contextState(gl);
+
+    if (!state.restoreCallbacks)
+    {
+        state.restoreCallbacks = [];
+
+        gl.canvas.addEventListener("webglcontextlost", function(event) {
+            // Without preventDefault the browser never restores the context
+            event.preventDefault();
+        }, false);
+
+        gl.canvas.addEventListener("webglcontextrestored", function() {
+            state.programs = {};
+            if (state.renderer)
+                restoreRenderer(state.renderer);
+
+            // Meshes with 32 bit indices need their extension again before anything is uploaded
+            var uintVerts = 0;
+            state.figures.forEach(function(figure) {
+                if (figure.indexType == gl.UNSIGNED_INT)
+                    uintVerts = Math.max(uintVerts, figure.nVerts);
+            });
+            if (uintVerts > 0)
+                enableUintIndices(gl, uintVerts);
+
+            state.figures.forEach(function(figure) {
+                restoreFigureBuffers(gl, figure);
+            });
+
+            state.restoreCallbacks.forEach(function(callback) {
+                callback(gl);
+            });
+        }, false);
+    }
+
+    if (onRestored)
+        state.restoreCallbacks.push(onRestored);
+
+    return function() {
+        var index = state.restoreCallbacks.indexOf(onRestored);
+        if (index >= 0)
+            state.restoreCallbacks.splice(index, 1);
+    };
+}
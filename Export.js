@@ -0,0 +1,359 @@
+// Exporters for the CPU-side geometry every figure keeps (figure.verts, plus figure.indices / figure.normals for
+// meshes): Wavefront OBJ, ASCII or binary STL, and an SVG drawing of what the canvas shows.
+// The target of an export is either a single figure or a whole scene (see Scene.js); scenes are exported with every
+// visible node's transform applied. Strips and fans are expanded into plain triangles on the way out.
+// Nothing here touches WebGL. Single figures export to OBJ and STL without gl-matrix, so they can be exported and
+// compared in tests (see test/Export.test.js); scenes and SVG need its mat4.
+
+// Primitive types as defined by the WebGL spec, so the exporters don't need a gl context
+var exportPrimitives = {POINTS: 0, LINES: 1, LINE_LOOP: 2, LINE_STRIP: 3, TRIANGLES: 4, TRIANGLE_STRIP: 5, TRIANGLE_FAN: 6};
+
+var exportIdentity = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+// Vertex numbers in draw order: the index buffer if the figure has one, otherwise 0 .. nVerts - 1
+function figureVertexOrder(figure)
+{
+    if (figure.indices)
+        return Array.prototype.slice.call(figure.indices);
+
+    var order = [];
+    for (var i = 0; i < figure.verts.length / 3; i++)
+        order.push(i);
+    return order;
+}
+
+// Expands the figure's TRIANGLES, TRIANGLE_STRIP or TRIANGLE_FAN into a list of [i, j, k] vertex numbers, keeping the
+// winding of every triangle. Figures made of points or lines have no triangles.
+function figureTriangles(figure)
+{
+    var order = figureVertexOrder(figure);
+    var triangles = [];
+
+    for (var i = 0; i + 2 < order.length; i++)
+    {
+        if (figure.primtype == exportPrimitives.TRIANGLES)
+        {
+            if (i % 3 == 0)
+                triangles.push([order[i], order[i + 1], order[i + 2]]);
+        }
+        else if (figure.primtype == exportPrimitives.TRIANGLE_STRIP)
+        {
+            // Every other triangle of a strip is wound the other way round
+            triangles.push(i % 2 == 0 ? [order[i], order[i + 1], order[i + 2]] : [order[i + 1], order[i], order[i + 2]]);
+        }
+        else if (figure.primtype == exportPrimitives.TRIANGLE_FAN)
+        {
+            triangles.push([order[0], order[i + 1], order[i + 2]]);
+        }
+    }
+
+    return triangles;
+}
+
+// Expands the figure's LINES, LINE_LOOP or LINE_STRIP into a list of [i, j] vertex numbers
+function figureLines(figure)
+{
+    var order = figureVertexOrder(figure);
+    var lines = [];
+
+    for (var i = 0; i + 1 < order.length; i++)
+    {
+        if (figure.primtype == exportPrimitives.LINES)
+        {
+            if (i % 2 == 0)
+                lines.push([order[i], order[i + 1]]);
+        }
+        else if (figure.primtype == exportPrimitives.LINE_STRIP || figure.primtype == exportPrimitives.LINE_LOOP)
+        {
+            lines.push([order[i], order[i + 1]]);
+        }
+    }
+
+    if (figure.primtype == exportPrimitives.LINE_LOOP && order.length > 2)
+        lines.push([order[order.length - 1], order[0]]);
+
+    return lines;
+}
+
+// Returns [x, y, z, w] for the point multiplied by the column-major 4x4 matrix
+function exportTransform(matrix, p, w)
+{
+    w = w === undefined ? 1 : w;
+    var out = [];
+    for (var row = 0; row < 4; row++)
+        out.push(matrix[row] * p[0] + matrix[4 + row] * p[1] + matrix[8 + row] * p[2] + matrix[12 + row] * w);
+    return out;
+}
+
+// The figure's positions with the matrix applied, as a list of [x, y, z]
+function transformedVertices(figure, matrix)
+{
+    var points = [];
+    for (var i = 0; i < figure.verts.length; i += 3)
+        points.push(exportTransform(matrix, [figure.verts[i], figure.verts[i + 1], figure.verts[i + 2]]).slice(0, 3));
+    return points;
+}
+
+// Lists what to export as {figure, matrix}: the figure itself, or every visible figure of a scene with its world transform
+function exportItems(target)
+{
+    if (!target.root)
+        return [{figure: target, matrix: exportIdentity}];
+
+    var items = [];
+    forEachSceneNode(target.root, mat4.create(), function(node, matrix) {
+        if (node.figure)
+            items.push({figure: node.figure, matrix: matrix});
+    });
+    return items;
+}
+
+function triangleNormal(a, b, c)
+{
+    var u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+    var v = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+    var n = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+    var length = Math.sqrt(n[0] * n[0] + n[1] * n[1] + n[2] * n[2]) || 1;
+    return [n[0] / length, n[1] / length, n[2] / length];
+}
+
+function exportCross(u, v)
+{
+    return [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+}
+
+// The normal moved by the inverse transpose of the matrix's 3x3 part, normalized. The inverse transpose is built from
+// cross products of the matrix's columns, so it exists even for a transform that flattens the figure (scale 0).
+function exportNormal(matrix, n)
+{
+    var columns = [0, 4, 8].map(function(k) { return [matrix[k], matrix[k + 1], matrix[k + 2]]; });
+    // Rows of the inverse, times the determinant
+    var rows = [
+        exportCross(columns[1], columns[2]),
+        exportCross(columns[2], columns[0]),
+        exportCross(columns[0], columns[1])
+    ];
+    // Mirroring transforms have a negative determinant; dividing by it would turn the normals inside out
+    var sign = columns[0][0] * rows[0][0] + columns[0][1] * rows[0][1] + columns[0][2] * rows[0][2] < 0 ? -1 : 1;
+
+    var out = [0, 1, 2].map(function(k) {
+        return sign * (n[0] * rows[0][k] + n[1] * rows[1][k] + n[2] * rows[2][k]);
+    });
+    var length = Math.sqrt(out[0] * out[0] + out[1] * out[1] + out[2] * out[2]);
+
+    // Faces flattened into lines have no normal left; keep the one they had, like drawLit() does
+    if (length == 0)
+    {
+        out = n;
+        length = Math.sqrt(n[0] * n[0] + n[1] * n[1] + n[2] * n[2]) || 1;
+    }
+    return [out[0] / length, out[1] / length, out[2] / length];
+}
+
+// Wavefront OBJ text: one object per figure with its vertices, faces and line elements, plus vertex normals for meshes
+function exportOBJ(target)
+{
+    var lines = ["# Exported by Figures.js"];
+    // OBJ numbers vertices and normals separately, and only meshes write normals
+    var offset = 1, normalOffset = 1;
+
+    exportItems(target).forEach(function(item, n) {
+        var figure = item.figure;
+        var points = transformedVertices(figure, item.matrix);
+        var hasNormals = !!figure.normals;
+
+        lines.push("o figure" + n);
+        points.forEach(function(p) {
+            lines.push("v " + p.join(" "));
+        });
+
+        if (hasNormals)
+        {
+            for (var i = 0; i < figure.normals.length; i += 3)
+            {
+                var normal = exportNormal(item.matrix, [figure.normals[i], figure.normals[i + 1], figure.normals[i + 2]]);
+                lines.push("vn " + normal.join(" "));
+            }
+        }
+
+        figureTriangles(figure).forEach(function(t) {
+            lines.push("f " + t.map(function(i) {
+                return hasNormals ? (i + offset) + "//" + (i + normalOffset) : i + offset;
+            }).join(" "));
+        });
+        figureLines(figure).forEach(function(l) {
+            lines.push("l " + (l[0] + offset) + " " + (l[1] + offset));
+        });
+
+        offset += points.length;
+        if (hasNormals)
+            normalOffset += figure.normals.length / 3;
+    });
+
+    return lines.join("\n") + "\n";
+}
+
+// All triangles of the target in world coordinates, as [a, b, c] points
+function exportTriangles(target)
+{
+    var triangles = [];
+    exportItems(target).forEach(function(item) {
+        var points = transformedVertices(item.figure, item.matrix);
+        figureTriangles(item.figure).forEach(function(t) {
+            triangles.push([points[t[0]], points[t[1]], points[t[2]]]);
+        });
+    });
+    return triangles;
+}
+
+// STL of every triangle in the target: an ASCII string, or an ArrayBuffer in the binary format when binary is true.
+// STL has no lines, so wireframe figures are left out.
+function exportSTL(target, binary)
+{
+    var triangles = exportTriangles(target);
+
+    if (!binary)
+    {
+        var lines = ["solid figures"];
+        triangles.forEach(function(t) {
+            lines.push("  facet normal " + triangleNormal(t[0], t[1], t[2]).join(" "));
+            lines.push("    outer loop");
+            t.forEach(function(p) {
+                lines.push("      vertex " + p.join(" "));
+            });
+            lines.push("    endloop");
+            lines.push("  endfacet");
+        });
+        lines.push("endsolid figures");
+        return lines.join("\n") + "\n";
+    }
+
+    // 80 byte header, triangle count, then per triangle the normal, three vertices and a 2 byte attribute count
+    var buffer = new ArrayBuffer(84 + triangles.length * 50);
+    var view = new DataView(buffer);
+    view.setUint32(80, triangles.length, true);
+
+    var offset = 84;
+    triangles.forEach(function(t) {
+        [triangleNormal(t[0], t[1], t[2])].concat(t).forEach(function(v) {
+            for (var k = 0; k < 3; k++, offset += 4)
+                view.setFloat32(offset, v[k], true);
+        });
+        view.setUint16(offset, 0, true);
+        offset += 2;
+    });
+
+    return buffer;
+}
+
+function svgColor(color)
+{
+    return "rgb(" + color.slice(0, 3).map(function(c) { return Math.round(c * 255); }).join(",") + ")";
+}
+
+// SVG drawing of the target as the canvas shows it, width x height pixels.
+// A single figure is projected with the modelViewMatrix and projectionMatrix of the renderer, or the global ones when
+// no renderer is given; a scene with its camera, or with viewMatrix and projectionMatrix when it has none.
+// Triangles are painted back to front and filled with the figure's solid color; parts behind the camera are left out.
+function exportSVG(target, width, height, renderer)
+{
+    var matrices = renderer || {projectionMatrix: projectionMatrix, modelViewMatrix: modelViewMatrix, viewMatrix: viewMatrix};
+    // Before initGL() there are no global matrices yet: start from the ones it would set up
+    if (!matrices.projectionMatrix)
+    {
+        matrices = {
+            projectionMatrix: mat4.perspective(mat4.create(), Math.PI / 4, width / height, 1, 10000),
+            modelViewMatrix: mat4.create(),
+            viewMatrix: mat4.create()
+        };
+    }
+    var projection = matrices.projectionMatrix, view = target.root ? matrices.viewMatrix : matrices.modelViewMatrix;
+    if (target.root && target.camera)
+    {
+        updateCameraMatrices(target.camera);
+        projection = target.camera.projectionMatrix;
+        view = target.camera.viewMatrix;
+    }
+    var viewProjection = mat4.multiply(mat4.create(), projection, view);
+
+    var shapes = [];
+    exportItems(target).forEach(function(item) {
+        var figure = item.figure;
+        var matrix = mat4.multiply(mat4.create(), viewProjection, item.matrix);
+        var color = toRGBA(figure.material && figure.material.diffuse || figure.color || defaultFigureColor);
+        var opacity = color[3] * (figure.opacity === undefined ? 1 : figure.opacity);
+
+        // Clip space to pixels; null for points behind the camera
+        var points = [];
+        for (var i = 0; i < figure.verts.length; i += 3)
+        {
+            var clip = exportTransform(matrix, [figure.verts[i], figure.verts[i + 1], figure.verts[i + 2]]);
+            points.push(clip[3] <= 0 ? null : [
+                (clip[0] / clip[3] + 1) / 2 * width,
+                (1 - clip[1] / clip[3]) / 2 * height,
+                clip[2] / clip[3]
+            ]);
+        }
+
+        function shape(element, indices, style)
+        {
+            var corners = indices.map(function(i) { return points[i]; });
+            if (corners.some(function(p) { return !p; }))
+                return;
+
+            var depth = corners.reduce(function(sum, p) { return sum + p[2]; }, 0) / corners.length;
+            var coords = corners.map(function(p) { return p[0].toFixed(2) + "," + p[1].toFixed(2); }).join(" ");
+            shapes.push({depth: depth, svg: "<" + element + " points=\"" + coords + "\" " + style + "/>"});
+        }
+
+        figureTriangles(figure).forEach(function(t) {
+            // A matching stroke hides the hairline gaps between neighbouring triangles
+            shape("polygon", t, "fill=\"" + svgColor(color) + "\" stroke=\"" + svgColor(color) + "\" stroke-width=\"0.5\" " +
+                "fill-opacity=\"" + opacity + "\" stroke-opacity=\"" + opacity + "\"");
+        });
+        figureLines(figure).forEach(function(l) {
+            shape("polyline", l, "fill=\"none\" stroke=\"" + svgColor(color) + "\" stroke-opacity=\"" + opacity + "\"");
+        });
+    });
+
+    // Painter's algorithm: the farthest shapes first
+    shapes.sort(function(a, b) { return b.depth - a.depth; });
+
+    var background = target.root ? target.clearColor : [0, 0, 0, 1];
+    var lines = [
+        "<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"" + width + "\" height=\"" + height + "\" viewBox=\"0 0 " + width + " " + height + "\">",
+        "<rect width=\"100%\" height=\"100%\" fill=\"" + svgColor(background) + "\"/>"
+    ];
+    shapes.forEach(function(s) {
+        lines.push(s.svg);
+    });
+    lines.push("</svg>");
+
+    return lines.join("\n") + "\n";
+}
+
+// Lets the browser save an export (string or ArrayBuffer) as a file
+function downloadExport(data, filename)
+{
+    var url = URL.createObjectURL(new Blob([data], {type: "application/octet-stream"}));
+    var link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+// Outside of the browser expose the exporters that work on single figures without gl-matrix, for test/Export.test.js
+if (typeof module !== "undefined" && module.exports)
+{
+    module.exports = {
+        exportPrimitives: exportPrimitives,
+        figureTriangles: figureTriangles,
+        figureLines: figureLines,
+        exportTriangles: exportTriangles,
+        exportOBJ: exportOBJ,
+        exportSTL: exportSTL
+    };
+}
@@ -0,0 +1,218 @@
+// Parametric generators for round figures: UV spheres, icospheres, discs and arcs ("pac-man" sectors).
+// The *Vertices functions are pure math: they return a flat array of x, y, z positions and never touch a gl context.
+// The create* functions upload that data into a vertex buffer and return the same {buffer, vertSize, nVerts, primtype}
+// object the rest of the figures use, so the result can be passed straight to draw().
+
+// Returns the position on a sphere for the polar angle theta (measured from +y) and the azimuth phi.
+// phi grows counter-clockwise seen from above (from +x towards -z), so the triangles below face outward.
+function spherePoint(radius, theta, phi)
+{
+    return [
+        radius * Math.sin(theta) * Math.cos(phi),
+        radius * Math.cos(theta),
+        -radius * Math.sin(theta) * Math.sin(phi)
+    ];
+}
+
+// UV sphere as a TRIANGLES list.
+// slices: number of divisions around the vertical axis (longitude)
+// stacks: number of divisions from pole to pole (latitude)
+// Each stack/slice cell is split into two triangles; the triangle that collapses into a pole is skipped.
+function uvSphereVertices(radius, slices, stacks)
+{
+    slices = slices || 32;
+    stacks = stacks || 16;
+
+    var verts = [];
+    for (var i = 0; i < stacks; i++)
+    {
+        var theta0 = i * Math.PI / stacks;
+        var theta1 = (i + 1) * Math.PI / stacks;
+
+        for (var j = 0; j < slices; j++)
+        {
+            var phi0 = j * 2 * Math.PI / slices;
+            var phi1 = (j + 1) * 2 * Math.PI / slices;
+
+            var a = spherePoint(radius, theta0, phi0);
+            var b = spherePoint(radius, theta1, phi0);
+            var c = spherePoint(radius, theta1, phi1);
+            var d = spherePoint(radius, theta0, phi1);
+
+            if (i != stacks - 1)
+                verts.push.apply(verts, a.concat(b, c));
+            if (i != 0)
+                verts.push.apply(verts, a.concat(c, d));
+        }
+    }
+
+    return verts;
+}
+
+// Indexed UV sphere mesh (see Mesh.js) with a normal and texture coordinate per vertex, for lit spheres.
+// The grid has (stacks + 1) x (slices + 1) vertices: the seam and the poles are duplicated so every vertex has its own uv.
+function sphereMeshData(radius, slices, stacks)
+{
+    slices = slices || 32;
+    stacks = stacks || 16;
+
+    var mesh = {positions: [], normals: [], uvs: [], indices: []};
+    for (var i = 0; i <= stacks; i++)
+    {
+        for (var j = 0; j <= slices; j++)
+        {
+            var normal = spherePoint(1, i * Math.PI / stacks, j * 2 * Math.PI / slices);
+            mesh.normals.push(normal[0], normal[1], normal[2]);
+            mesh.positions.push(normal[0] * radius, normal[1] * radius, normal[2] * radius);
+            mesh.uvs.push(j / slices, i / stacks);
+        }
+    }
+
+    // Same two triangles per cell as uvSphereVertices()
+    for (var i = 0; i < stacks; i++)
+    {
+        for (var j = 0; j < slices; j++)
+        {
+            var a = i * (slices + 1) + j;
+            var b = a + slices + 1;
+
+            if (i != stacks - 1)
+                mesh.indices.push(a, b, b + 1);
+            if (i != 0)
+                mesh.indices.push(a, b + 1, a + 1);
+        }
+    }
+
+    return mesh;
+}
+
+// Icosphere as a TRIANGLES list: an icosahedron whose faces are split in four and pushed out to the sphere
+// surface once per subdivision level. Level 0 is the plain icosahedron (20 triangles), each level multiplies it by 4.
+function icosphereVertices(radius, subdivisions)
+{
+    subdivisions = subdivisions || 0;
+
+    var t = (1 + Math.sqrt(5)) / 2;
+    var corners = [
+        [-1, t, 0], [1, t, 0], [-1, -t, 0], [1, -t, 0],
+        [0, -1, t], [0, 1, t], [0, -1, -t], [0, 1, -t],
+        [t, 0, -1], [t, 0, 1], [-t, 0, -1], [-t, 0, 1]
+    ];
+    var faces = [
+        [0, 11, 5], [0, 5, 1], [0, 1, 7], [0, 7, 10], [0, 10, 11],
+        [1, 5, 9], [5, 11, 4], [11, 10, 2], [10, 7, 6], [7, 1, 8],
+        [3, 9, 4], [3, 4, 2], [3, 2, 6], [3, 6, 8], [3, 8, 9],
+        [4, 9, 5], [2, 4, 11], [6, 2, 10], [8, 6, 7], [9, 8, 1]
+    ];
+
+    // Projects a point onto the unit sphere
+    function normalize(p)
+    {
+        var length = Math.sqrt(p[0] * p[0] + p[1] * p[1] + p[2] * p[2]);
+        return [p[0] / length, p[1] / length, p[2] / length];
+    }
+
+    function midpoint(p, q)
+    {
+        return normalize([(p[0] + q[0]) / 2, (p[1] + q[1]) / 2, (p[2] + q[2]) / 2]);
+    }
+
+    var triangles = faces.map(function(face) {
+        return [normalize(corners[face[0]]), normalize(corners[face[1]]), normalize(corners[face[2]])];
+    });
+
+    for (var level = 0; level < subdivisions; level++)
+    {
+        var split = [];
+        triangles.forEach(function(tri) {
+            var ab = midpoint(tri[0], tri[1]);
+            var bc = midpoint(tri[1], tri[2]);
+            var ca = midpoint(tri[2], tri[0]);
+            split.push([tri[0], ab, ca], [tri[1], bc, ab], [tri[2], ca, bc], [ab, bc, ca]);
+        });
+        triangles = split;
+    }
+
+    var verts = [];
+    triangles.forEach(function(tri) {
+        tri.forEach(function(p) {
+            verts.push(p[0] * radius, p[1] * radius, p[2] * radius);
+        });
+    });
+
+    return verts;
+}
+
+// Circular sector on the z = 0 plane as a TRIANGLE_FAN: the center followed by the rim points from startAngle to endAngle.
+// Angles are in radians, counter clockwise from +x. A sector of less than 2 PI gives the "pac-man" shape.
+function arcVertices(radius, startAngle, endAngle, segments)
+{
+    segments = segments || 32;
+
+    var verts = [0, 0, 0];
+    for (var i = 0; i <= segments; i++)
+    {
+        var angle = startAngle + (endAngle - startAngle) * i / segments;
+        verts.push(radius * Math.cos(angle), radius * Math.sin(angle), 0);
+    }
+
+    return verts;
+}
+
+// Full disc on the z = 0 plane as a TRIANGLE_FAN
+function discVertices(radius, segments)
+{
+    return arcVertices(radius, 0, 2 * Math.PI, segments);
+}
+
+// Lit sphere, see Mesh.js and Lighting.js
+function createSphereMesh(gl, radius, slices, stacks)
+{
+    return createMesh(gl, sphereMeshData(radius, slices, stacks));
+}
+
+// The trailing wireframe flag returns the edges (LINES) or outline (LINE_LOOP) instead of the filled shape,
+// see wireframeVertices() in Primitives.js.
+function createUVSphere(gl, radius, slices, stacks, wireframe)
+{
+    var verts = uvSphereVertices(radius, slices, stacks);
+    if (wireframe)
+        return createFigure(gl, wireframeVertices(verts), gl.LINES);
+    return createFigure(gl, verts, gl.TRIANGLES);
+}
+
+function createIcosphere(gl, radius, subdivisions, wireframe)
+{
+    var verts = icosphereVertices(radius, subdivisions);
+    if (wireframe)
+        return createFigure(gl, wireframeVertices(verts), gl.LINES);
+    return createFigure(gl, verts, gl.TRIANGLES);
+}
+
+function createDisc(gl, radius, segments, wireframe)
+{
+    var verts = discVertices(radius, segments);
+    // The outline is just the rim: drop the center and the rim point that closes the fan
+    if (wireframe)
+        return createFigure(gl, verts.slice(3, -3), gl.LINE_LOOP);
+    return createFigure(gl, verts, gl.TRIANGLE_FAN);
+}
+
+function createArc(gl, radius, startAngle, endAngle, segments, wireframe)
+{
+    // The fan's center and rim points in order already trace the sector's outline
+    var verts = arcVertices(radius, startAngle, endAngle, segments);
+    return createFigure(gl, verts, wireframe ? gl.LINE_LOOP : gl.TRIANGLE_FAN);
+}
+
+// Outside of the browser expose the pure vertex math, for the tests in test/Geometry.test.js
+if (typeof module !== "undefined" && module.exports)
+{
+    module.exports = {
+        uvSphereVertices: uvSphereVertices,
+        sphereMeshData: sphereMeshData,
+        icosphereVertices: icosphereVertices,
+        arcVertices: arcVertices,
+        discVertices: discVertices
+    };
+}
@@ -0,0 +1,236 @@
+// Phong lighting for figures with normals (see Mesh.js): an ambient term plus diffuse and specular terms for every
+// directional and point light. Lights are given in world coordinates and moved into eye coordinates with the
+// renderer's viewMatrix.
+
+// Maximum number of lights of each kind; must match MAX_LIGHTS in the fragment shader
+var maxLights = 4;
+
+var lightingVertexShaderSource =
+    "    attribute vec3 vertexPos;\n" +
+    "    attribute vec3 vertexNormal;\n" +
+    "    attribute vec4 vertexColor;\n" +
+    "    uniform mat4 modelViewMatrix;\n" +
+    "    uniform mat4 projectionMatrix;\n" +
+    "    uniform mat3 normalMatrix;\n" +
+    "    varying vec3 vPosition;\n" +
+    "    varying vec3 vNormal;\n" +
+    "    varying vec4 vColor;\n" +
+    "    void main(void) {\n" +
+    "        // Light in eye coordinates: pass the position and normal as seen from the camera\n" +
+    "        vec4 eyePosition = modelViewMatrix * vec4(vertexPos, 1.0);\n" +
+    "        vPosition = eyePosition.xyz;\n" +
+    "        vNormal = normalMatrix * vertexNormal;\n" +
+    "        vColor = vertexColor;\n" +
+    "        gl_Position = projectionMatrix * eyePosition;\n" +
+    "    }\n";
+
+var lightingFragmentShaderSource =
+    "    precision mediump float;\n" +
+    "    #define MAX_LIGHTS 4\n" +
+    "    uniform vec3 ambientLight;\n" +
+    "    uniform int directionalLightCount;\n" +
+    "    uniform vec3 directionalLightDirection[MAX_LIGHTS];\n" +
+    "    uniform vec3 directionalLightColor[MAX_LIGHTS];\n" +
+    "    uniform int pointLightCount;\n" +
+    "    uniform vec3 pointLightPosition[MAX_LIGHTS];\n" +
+    "    uniform vec3 pointLightColor[MAX_LIGHTS];\n" +
+    "    uniform vec3 pointLightAttenuation[MAX_LIGHTS];\n" +
+    "    uniform vec3 materialAmbient;\n" +
+    "    uniform vec4 materialDiffuse;\n" +
+    "    uniform vec3 materialSpecular;\n" +
+    "    uniform float materialShininess;\n" +
+    "    uniform bool useVertexColor;\n" +
+    "    uniform float opacity;\n" +
+    "    varying vec3 vPosition;\n" +
+    "    varying vec3 vNormal;\n" +
+    "    varying vec4 vColor;\n" +
+    "\n" +
+    "    // Diffuse and specular contribution of one light arriving from direction L\n" +
+    "    vec3 phong(vec3 N, vec3 L, vec3 V, vec3 diffuse, vec3 lightColor) {\n" +
+    "        float lambert = max(dot(N, L), 0.0);\n" +
+    "        float specular = 0.0;\n" +
+    "        if (lambert > 0.0)\n" +
+    "            specular = pow(max(dot(reflect(-L, N), V), 0.0), materialShininess);\n" +
+    "        return lightColor * (diffuse * lambert + materialSpecular * specular);\n" +
+    "    }\n" +
+    "\n" +
+    "    void main(void) {\n" +
+    "        vec4 base = useVertexColor ? vColor : materialDiffuse;\n" +
+    "        // Light both sides of open surfaces\n" +
+    "        vec3 N = normalize(gl_FrontFacing ? vNormal : -vNormal);\n" +
+    "        vec3 V = normalize(-vPosition);\n" +
+    "        vec3 color = ambientLight * materialAmbient * base.rgb;\n" +
+    "        for (int i = 0; i < MAX_LIGHTS; i++) {\n" +
+    "            if (i >= directionalLightCount) break;\n" +
+    "            color += phong(N, normalize(-directionalLightDirection[i]), V, base.rgb, directionalLightColor[i]);\n" +
+    "        }\n" +
+    "        for (int i = 0; i < MAX_LIGHTS; i++) {\n" +
+    "            if (i >= pointLightCount) break;\n" +
+    "            vec3 toLight = pointLightPosition[i] - vPosition;\n" +
+    "            float d = length(toLight);\n" +
+    "            vec3 k = pointLightAttenuation[i];\n" +
+    "            color += phong(N, toLight / d, V, base.rgb, pointLightColor[i]) / (k.x + k.y * d + k.z * d * d);\n" +
+    "        }\n" +
+    "        gl_FragColor = vec4(color, base.a * opacity);\n" +
+    "    }\n";
+
+// Attribute and uniform names of the lighting shader
+var lightingAttributes = ["vertexPos", "vertexNormal", "vertexColor"];
+var lightingUniforms = [
+    "modelViewMatrix", "projectionMatrix", "normalMatrix", "ambientLight",
+    "directionalLightCount", "directionalLightDirection", "directionalLightColor",
+    "pointLightCount", "pointLightPosition", "pointLightColor", "pointLightAttenuation",
+    "materialAmbient", "materialDiffuse", "materialSpecular", "materialShininess",
+    "useVertexColor", "opacity"
+];
+
+// A set of lights with the default setup: a dim ambient light and a white light shining from the upper left.
+// Directions point from the light towards the scene; colors are [r, g, b] and may exceed 1 for bright lights.
+function createLights()
+{
+    return {
+        ambient: [0.2, 0.2, 0.2],
+        directional: [{direction: [1, -1, -1], color: [1, 1, 1]}],
+        point: []
+    };
+}
+
+// Lights used by the global draw(); every renderer has its own in renderer.lights
+var lights = createLights();
+
+// Material used by lit figures that don't set their own. diffuse defaults to the figure's color.
+var defaultMaterial = {ambient: [1, 1, 1], diffuse: null, specular: [0.5, 0.5, 0.5], shininess: 32};
+
+// Adds a light shining along direction (world coordinates) to the set and returns it, so it can be changed or removed later
+function pushDirectionalLight(lightSet, direction, color)
+{
+    if (lightSet.directional.length >= maxLights)
+        throw new Error("At most " + maxLights + " directional lights are supported");
+
+    var light = {direction: direction, color: color || [1, 1, 1]};
+    lightSet.directional.push(light);
+    return light;
+}
+
+// Adds a light at position (world coordinates) to the set and returns it.
+// attenuation: [constant, linear, quadratic] falloff with distance, defaults to no falloff.
+function pushPointLight(lightSet, position, color, attenuation)
+{
+    if (lightSet.point.length >= maxLights)
+        throw new Error("At most " + maxLights + " point lights are supported");
+
+    var light = {position: position, color: color || [1, 1, 1], attenuation: attenuation || [1, 0, 0]};
+    lightSet.point.push(light);
+    return light;
+}
+
+function spliceLight(lightSet, light)
+{
+    [lightSet.directional, lightSet.point].forEach(function(list) {
+        var index = list.indexOf(light);
+        if (index >= 0)
+            list.splice(index, 1);
+    });
+}
+
+function setAmbientLight(color)
+{
+    lights.ambient = color;
+}
+
+function addDirectionalLight(direction, color)
+{
+    return pushDirectionalLight(lights, direction, color);
+}
+
+function addPointLight(position, color, attenuation)
+{
+    return pushPointLight(lights, position, color, attenuation);
+}
+
+function removeLight(light)
+{
+    spliceLight(lights, light);
+}
+
+function clearLights()
+{
+    lights.directional = [];
+    lights.point = [];
+}
+
+// Sets the figure's material; any of ambient, diffuse ([r, g, b] or [r, g, b, a]), specular and shininess left out
+// keep their defaults.
+function setMaterial(obj, material)
+{
+    obj.material = {};
+    for (var key in defaultMaterial)
+        obj.material[key] = material[key] !== undefined ? material[key] : defaultMaterial[key];
+    return obj;
+}
+
+// Copies the renderer's lights into the shader, moved into eye coordinates
+function setLightUniforms(renderer)
+{
+    var gl = renderer.gl, loc = renderer.litShader.uniforms, lightSet = renderer.lights;
+    var viewRotation = mat3.fromMat4(mat3.create(), renderer.viewMatrix);
+
+    var directions = new Float32Array(maxLights * 3), directionalColors = new Float32Array(maxLights * 3);
+    lightSet.directional.forEach(function(light, i) {
+        directions.set(vec3.transformMat3(vec3.create(), light.direction, viewRotation), i * 3);
+        directionalColors.set(light.color, i * 3);
+    });
+
+    var positions = new Float32Array(maxLights * 3), pointColors = new Float32Array(maxLights * 3);
+    var attenuations = new Float32Array(maxLights * 3);
+    lightSet.point.forEach(function(light, i) {
+        positions.set(vec3.transformMat4(vec3.create(), light.position, renderer.viewMatrix), i * 3);
+        pointColors.set(light.color, i * 3);
+        attenuations.set(light.attenuation, i * 3);
+    });
+
+    gl.uniform3fv(loc.ambientLight, lightSet.ambient);
+    gl.uniform1i(loc.directionalLightCount, lightSet.directional.length);
+    gl.uniform3fv(loc.directionalLightDirection, directions);
+    gl.uniform3fv(loc.directionalLightColor, directionalColors);
+    gl.uniform1i(loc.pointLightCount, lightSet.point.length);
+    gl.uniform3fv(loc.pointLightPosition, positions);
+    gl.uniform3fv(loc.pointLightColor, pointColors);
+    gl.uniform3fv(loc.pointLightAttenuation, attenuations);
+}
+
+// drawFigure() for figures with normals
+function drawLit(renderer, obj)
+{
+    var gl = renderer.gl;
+    var attributes = renderer.litShader.attributes, uniforms = renderer.litShader.uniforms;
+    gl.useProgram(renderer.litShader.program);
+
+    // Position and normal are interleaved in the same vertex buffer
+    gl.bindBuffer(gl.ARRAY_BUFFER, obj.buffer);
+    gl.vertexAttribPointer(attributes.vertexPos, obj.vertSize, gl.FLOAT, false, obj.stride || 0, 0);
+    gl.vertexAttribPointer(attributes.vertexNormal, 3, gl.FLOAT, false, obj.stride || 0, obj.normalOffset);
+
+    var enabled = [attributes.vertexPos, attributes.vertexNormal];
+    if (bindVertexColors(gl, obj, attributes.vertexColor, uniforms.useVertexColor))
+        enabled.push(attributes.vertexColor);
+    enableAttributes(renderer, enabled);
+
+    // The normal matrix is the inverse transpose of the model view matrix, so normals stay perpendicular under scaling
+    gl.uniformMatrix4fv(uniforms.projectionMatrix, false, renderer.projectionMatrix);
+    gl.uniformMatrix4fv(uniforms.modelViewMatrix, false, renderer.modelViewMatrix);
+    // A scale of 0 on some axis (e.g. a node growing from nothing) has no inverse; its normals are kept as they are
+    var normalMatrix = mat3.normalFromMat4(mat3.create(), renderer.modelViewMatrix) || mat3.create();
+    gl.uniformMatrix3fv(uniforms.normalMatrix, false, normalMatrix);
+
+    var material = obj.material || defaultMaterial;
+    gl.uniform3fv(uniforms.materialAmbient, material.ambient);
+    gl.uniform4fv(uniforms.materialDiffuse, toRGBA(material.diffuse || obj.color || defaultFigureColor));
+    gl.uniform3fv(uniforms.materialSpecular, material.specular);
+    gl.uniform1f(uniforms.materialShininess, material.shininess);
+    gl.uniform1f(uniforms.opacity, obj.opacity === undefined ? 1.0 : obj.opacity);
+
+    setLightUniforms(renderer);
+
+    drawFigureVertices(gl, obj);
+}
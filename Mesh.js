@@ -0,0 +1,139 @@
+// Indexed meshes with interleaved vertex attributes.
+// Mesh data is a plain object {positions, normals, uvs, indices} of flat arrays (3, 3 and 2 floats per vertex,
+// normals, uvs and indices are optional). createMesh() interleaves it into one vertex buffer laid out as
+//     x, y, z, nx, ny, nz, u, v
+// plus an element buffer, and returns a figure that draw() renders with gl.drawElements. Meshes that have normals are
+// drawn with the lighting shader from Lighting.js.
+
+// Floats per interleaved vertex and the byte offsets of each attribute inside it
+var meshVertexFloats = 8;
+var meshNormalOffset = 3 * 4;
+var meshUVOffset = 6 * 4;
+
+// Interleaves position, normal and uv of every vertex; missing attributes are filled with zeros
+function interleaveMeshData(mesh)
+{
+    var nVerts = mesh.positions.length / 3;
+    var data = new Float32Array(nVerts * meshVertexFloats);
+
+    for (var i = 0; i < nVerts; i++)
+    {
+        var offset = i * meshVertexFloats;
+        for (var k = 0; k < 3; k++)
+        {
+            data[offset + k] = mesh.positions[i * 3 + k];
+            data[offset + 3 + k] = mesh.normals ? mesh.normals[i * 3 + k] : 0;
+        }
+        data[offset + 6] = mesh.uvs ? mesh.uvs[i * 2] : 0;
+        data[offset + 7] = mesh.uvs ? mesh.uvs[i * 2 + 1] : 0;
+    }
+
+    return data;
+}
+
+// Turns a TRIANGLES position list (as returned by boxVertices(), cylinderVertices()...) into indexed mesh data with
+// one normal per face, so it can be lit. Corners shared by triangles facing the same way are stored only once.
+function flatMeshData(verts)
+{
+    var mesh = {positions: [], normals: [], uvs: null, indices: []};
+    var indexOf = {};
+
+    for (var t = 0; t < verts.length; t += 9)
+    {
+        var a = verts.slice(t, t + 3), b = verts.slice(t + 3, t + 6), c = verts.slice(t + 6, t + 9);
+        var u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+        var v = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+        var normal = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+        var length = Math.sqrt(normal[0] * normal[0] + normal[1] * normal[1] + normal[2] * normal[2]);
+
+        // Degenerate triangles have no face to light
+        if (length == 0)
+            continue;
+        normal = [normal[0] / length, normal[1] / length, normal[2] / length];
+
+        [a, b, c].forEach(function(p) {
+            var key = p.concat(normal).map(function(x) { return x.toFixed(6); }).join(",");
+            if (indexOf[key] === undefined)
+            {
+                indexOf[key] = mesh.positions.length / 3;
+                mesh.positions.push(p[0], p[1], p[2]);
+                mesh.normals.push(normal[0], normal[1], normal[2]);
+            }
+            mesh.indices.push(indexOf[key]);
+        });
+    }
+
+    return mesh;
+}
+
+// Uploads mesh data and returns a figure for draw(). primtype defaults to gl.TRIANGLES.
+function createMesh(gl, mesh, primtype)
+{
+    var vertexBuffer;
+    vertexBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, interleaveMeshData(mesh), gl.STATIC_DRAW);
+
+    var figure = {
+        buffer: vertexBuffer,
+        vertSize: 3,
+        nVerts: mesh.positions.length / 3,
+        primtype: primtype === undefined ? gl.TRIANGLES : primtype,
+        stride: meshVertexFloats * 4,
+        normalOffset: meshNormalOffset,
+        uvOffset: meshUVOffset,
+        lit: !!mesh.normals,
+        // CPU-side copies for the exporters in Export.js
+        verts: mesh.positions,
+        normals: mesh.normals || null,
+        // The full mesh data, to rebuild the interleaved buffer after a context loss
+        mesh: mesh
+    };
+
+    if (mesh.indices)
+    {
+        // 16 bit indices work everywhere; bigger meshes need WebGL2 or the OES_element_index_uint extension
+        var indices;
+        if (figure.nVerts <= 65536)
+        {
+            indices = new Uint16Array(mesh.indices);
+            figure.indexType = gl.UNSIGNED_SHORT;
+        }
+        else
+        {
+            enableUintIndices(gl, figure.nVerts);
+            indices = new Uint32Array(mesh.indices);
+            figure.indexType = gl.UNSIGNED_INT;
+        }
+
+        figure.indexBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, figure.indexBuffer);
+        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.STATIC_DRAW);
+        figure.nIndices = indices.length;
+        figure.indices = mesh.indices;
+    }
+
+    return registerFigure(gl, figure);
+}
+
+function isWebGL2(gl)
+{
+    return typeof WebGL2RenderingContext !== "undefined" && gl instanceof WebGL2RenderingContext;
+}
+
+// Lets the context draw with 32 bit indices, or throws when it can't. WebGL1 extensions are lost with the context, so
+// this is asked for again after a restore (see watchContextLoss() in Context.js).
+function enableUintIndices(gl, nVerts)
+{
+    if (!isWebGL2(gl) && !gl.getExtension("OES_element_index_uint"))
+        throw new Error("Mesh has " + nVerts + " vertices, but this WebGL context only supports 16 bit indices");
+}
+
+// Outside of the browser expose the pure mesh math, for the tests in test/Mesh.test.js
+if (typeof module !== "undefined" && module.exports)
+{
+    module.exports = {
+        interleaveMeshData: interleaveMeshData,
+        flatMeshData: flatMeshData
+    };
+}
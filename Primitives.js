@@ -0,0 +1,308 @@
+// Parametric primitive library: regular polygons, stars and rings on the z = 0 plane, and boxes, cylinders, cones and
+// tori centered at the origin. Like Geometry.js, the *Vertices functions are pure math returning a flat array of
+// x, y, z positions, and the create* functions upload them with createFigure() for draw().
+// Every create* function takes a trailing wireframe flag that returns the outline (LINE_LOOP) or edges (LINES) instead
+// of the filled shape. 3D shapes are wound counter clockwise seen from the outside, and take a lit flag after the
+// wireframe flag that builds them as meshes with face normals (see flatMeshData() in Mesh.js) for the lighting shader.
+
+// Point on a circle of the given radius on the z = 0 plane
+function circlePoint(radius, angle)
+{
+    return [radius * Math.cos(angle), radius * Math.sin(angle), 0];
+}
+
+// Point on a circle of the given radius around the y axis, at height y
+function ringPoint(radius, angle, y)
+{
+    return [radius * Math.cos(angle), y, -radius * Math.sin(angle)];
+}
+
+// Pushes the quad a, b, c, d (counter clockwise) as two triangles
+function pushQuad(verts, a, b, c, d)
+{
+    verts.push.apply(verts, a.concat(b, c, a, c, d));
+}
+
+// Converts a TRIANGLES vertex list into LINES with every shared edge listed only once
+function wireframeVertices(verts)
+{
+    var seen = {};
+    var lines = [];
+
+    function key(i)
+    {
+        return verts[i].toFixed(6) + "," + verts[i + 1].toFixed(6) + "," + verts[i + 2].toFixed(6);
+    }
+
+    for (var t = 0; t < verts.length; t += 9)
+    {
+        for (var e = 0; e < 3; e++)
+        {
+            var i = t + e * 3, j = t + ((e + 1) % 3) * 3;
+            var ki = key(i), kj = key(j);
+            if (ki == kj)
+                continue;
+
+            var edge = ki < kj ? ki + "|" + kj : kj + "|" + ki;
+            if (seen[edge])
+                continue;
+            seen[edge] = true;
+
+            lines.push(verts[i], verts[i + 1], verts[i + 2], verts[j], verts[j + 1], verts[j + 2]);
+        }
+    }
+
+    return lines;
+}
+
+// Perimeter of an n-sided regular polygon as a LINE_LOOP. The first corner points up, so 3 sides give a triangle
+// standing on its base and 4 sides give a rhombus.
+function polygonOutlineVertices(radius, sides)
+{
+    var verts = [];
+    for (var i = 0; i < sides; i++)
+        verts.push.apply(verts, circlePoint(radius, Math.PI / 2 + i * 2 * Math.PI / sides));
+    return verts;
+}
+
+// Filled n-sided regular polygon as a TRIANGLE_FAN
+function polygonVertices(radius, sides)
+{
+    var outline = polygonOutlineVertices(radius, sides);
+    return [0, 0, 0].concat(outline, outline.slice(0, 3));
+}
+
+// Perimeter of a star with the given number of points as a LINE_LOOP, alternating outer tips and inner corners
+function starOutlineVertices(outerRadius, innerRadius, points)
+{
+    var verts = [];
+    for (var i = 0; i < points * 2; i++)
+    {
+        var radius = i % 2 == 0 ? outerRadius : innerRadius;
+        verts.push.apply(verts, circlePoint(radius, Math.PI / 2 + i * Math.PI / points));
+    }
+    return verts;
+}
+
+// Filled star as a TRIANGLE_FAN
+function starVertices(outerRadius, innerRadius, points)
+{
+    var outline = starOutlineVertices(outerRadius, innerRadius, points);
+    return [0, 0, 0].concat(outline, outline.slice(0, 3));
+}
+
+// Annulus between the two radii as a TRIANGLE_STRIP, alternating outer and inner points
+function ringVertices(innerRadius, outerRadius, segments)
+{
+    segments = segments || 32;
+
+    var verts = [];
+    for (var i = 0; i <= segments; i++)
+    {
+        var angle = i * 2 * Math.PI / segments;
+        verts.push.apply(verts, circlePoint(outerRadius, angle).concat(circlePoint(innerRadius, angle)));
+    }
+    return verts;
+}
+
+// Outer and inner circles of the annulus as LINES
+function ringOutlineVertices(innerRadius, outerRadius, segments)
+{
+    segments = segments || 32;
+
+    var verts = [];
+    [outerRadius, innerRadius].forEach(function(radius) {
+        for (var i = 0; i < segments; i++)
+        {
+            verts.push.apply(verts, circlePoint(radius, i * 2 * Math.PI / segments));
+            verts.push.apply(verts, circlePoint(radius, (i + 1) * 2 * Math.PI / segments));
+        }
+    });
+    return verts;
+}
+
+// Corners of a box, indexed by bit: 1 = +x, 2 = +y, 4 = +z
+function boxCorners(width, height, depth)
+{
+    var corners = [];
+    for (var i = 0; i < 8; i++)
+        corners.push([(i & 1 ? 0.5 : -0.5) * width, (i & 2 ? 0.5 : -0.5) * height, (i & 4 ? 0.5 : -0.5) * depth]);
+    return corners;
+}
+
+// Box as a TRIANGLES list, two triangles per face
+function boxVertices(width, height, depth)
+{
+    var c = boxCorners(width, height, depth);
+    var faces = [
+        [4, 5, 7, 6],   // +z
+        [1, 0, 2, 3],   // -z
+        [5, 1, 3, 7],   // +x
+        [0, 4, 6, 2],   // -x
+        [6, 7, 3, 2],   // +y
+        [0, 1, 5, 4]    // -y
+    ];
+
+    var verts = [];
+    faces.forEach(function(f) {
+        pushQuad(verts, c[f[0]], c[f[1]], c[f[2]], c[f[3]]);
+    });
+    return verts;
+}
+
+// The 12 edges of a box as LINES
+function boxOutlineVertices(width, height, depth)
+{
+    var c = boxCorners(width, height, depth);
+
+    var verts = [];
+    for (var i = 0; i < 8; i++)
+    {
+        // Connect each corner to the neighbours that differ in exactly one, higher, bit
+        [1, 2, 4].forEach(function(bit) {
+            if (!(i & bit))
+                verts.push.apply(verts, c[i].concat(c[i | bit]));
+        });
+    }
+    return verts;
+}
+
+// Closed cylinder along the y axis as a TRIANGLES list: the side plus the top and bottom caps
+function cylinderVertices(radius, height, slices)
+{
+    slices = slices || 32;
+
+    var top = height / 2, bottom = -height / 2;
+    var verts = [];
+    for (var i = 0; i < slices; i++)
+    {
+        var a0 = i * 2 * Math.PI / slices;
+        var a1 = (i + 1) * 2 * Math.PI / slices;
+
+        pushQuad(verts, ringPoint(radius, a0, bottom), ringPoint(radius, a1, bottom), ringPoint(radius, a1, top), ringPoint(radius, a0, top));
+        verts.push.apply(verts, [0, top, 0].concat(ringPoint(radius, a0, top), ringPoint(radius, a1, top)));
+        verts.push.apply(verts, [0, bottom, 0].concat(ringPoint(radius, a1, bottom), ringPoint(radius, a0, bottom)));
+    }
+    return verts;
+}
+
+// Closed cone along the y axis, apex up, as a TRIANGLES list: the side plus the base
+function coneVertices(radius, height, slices)
+{
+    slices = slices || 32;
+
+    var apex = [0, height / 2, 0], bottom = -height / 2;
+    var verts = [];
+    for (var i = 0; i < slices; i++)
+    {
+        var a0 = i * 2 * Math.PI / slices;
+        var a1 = (i + 1) * 2 * Math.PI / slices;
+
+        verts.push.apply(verts, ringPoint(radius, a0, bottom).concat(ringPoint(radius, a1, bottom), apex));
+        verts.push.apply(verts, [0, bottom, 0].concat(ringPoint(radius, a1, bottom), ringPoint(radius, a0, bottom)));
+    }
+    return verts;
+}
+
+// Torus around the y axis as a TRIANGLES list.
+// radius: distance from the center to the middle of the tube, tubeRadius: radius of the tube itself
+// radialSegments: divisions around the y axis, tubularSegments: divisions around the tube
+function torusVertices(radius, tubeRadius, radialSegments, tubularSegments)
+{
+    radialSegments = radialSegments || 32;
+    tubularSegments = tubularSegments || 16;
+
+    function point(u, v)
+    {
+        return ringPoint(radius + tubeRadius * Math.cos(v), u, tubeRadius * Math.sin(v));
+    }
+
+    var verts = [];
+    for (var i = 0; i < radialSegments; i++)
+    {
+        var u0 = i * 2 * Math.PI / radialSegments;
+        var u1 = (i + 1) * 2 * Math.PI / radialSegments;
+
+        for (var j = 0; j < tubularSegments; j++)
+        {
+            var v0 = j * 2 * Math.PI / tubularSegments;
+            var v1 = (j + 1) * 2 * Math.PI / tubularSegments;
+
+            pushQuad(verts, point(u0, v0), point(u1, v0), point(u1, v1), point(u0, v1));
+        }
+    }
+    return verts;
+}
+
+function createRegularPolygon(gl, radius, sides, wireframe)
+{
+    if (wireframe)
+        return createFigure(gl, polygonOutlineVertices(radius, sides), gl.LINE_LOOP);
+    return createFigure(gl, polygonVertices(radius, sides), gl.TRIANGLE_FAN);
+}
+
+function createStar(gl, outerRadius, innerRadius, points, wireframe)
+{
+    if (wireframe)
+        return createFigure(gl, starOutlineVertices(outerRadius, innerRadius, points), gl.LINE_LOOP);
+    return createFigure(gl, starVertices(outerRadius, innerRadius, points), gl.TRIANGLE_FAN);
+}
+
+function createRing(gl, innerRadius, outerRadius, segments, wireframe)
+{
+    if (wireframe)
+        return createFigure(gl, ringOutlineVertices(innerRadius, outerRadius, segments), gl.LINES);
+    return createFigure(gl, ringVertices(innerRadius, outerRadius, segments), gl.TRIANGLE_STRIP);
+}
+
+// Uploads a closed 3D shape given as a TRIANGLES list: its edges when wireframe is set, a lit mesh when lit is set
+function createSolid(gl, verts, wireframe, lit)
+{
+    if (wireframe)
+        return createFigure(gl, wireframeVertices(verts), gl.LINES);
+    if (lit)
+        return createMesh(gl, flatMeshData(verts));
+    return createFigure(gl, verts, gl.TRIANGLES);
+}
+
+function createBox(gl, width, height, depth, wireframe, lit)
+{
+    // The box's own outline leaves out the diagonals wireframeVertices() would draw across every face
+    if (wireframe)
+        return createFigure(gl, boxOutlineVertices(width, height, depth), gl.LINES);
+    return createSolid(gl, boxVertices(width, height, depth), false, lit);
+}
+
+function createCylinder(gl, radius, height, slices, wireframe, lit)
+{
+    return createSolid(gl, cylinderVertices(radius, height, slices), wireframe, lit);
+}
+
+function createCone(gl, radius, height, slices, wireframe, lit)
+{
+    return createSolid(gl, coneVertices(radius, height, slices), wireframe, lit);
+}
+
+function createTorus(gl, radius, tubeRadius, radialSegments, tubularSegments, wireframe, lit)
+{
+    return createSolid(gl, torusVertices(radius, tubeRadius, radialSegments, tubularSegments), wireframe, lit);
+}
+
+// Outside of the browser expose the pure vertex math, for the tests in test/Primitives.test.js
+if (typeof module !== "undefined" && module.exports)
+{
+    module.exports = {
+        wireframeVertices: wireframeVertices,
+        polygonVertices: polygonVertices,
+        polygonOutlineVertices: polygonOutlineVertices,
+        starVertices: starVertices,
+        starOutlineVertices: starOutlineVertices,
+        ringVertices: ringVertices,
+        ringOutlineVertices: ringOutlineVertices,
+        boxVertices: boxVertices,
+        boxOutlineVertices: boxOutlineVertices,
+        cylinderVertices: cylinderVertices,
+        coneVertices: coneVertices,
+        torusVertices: torusVertices
+    };
+}
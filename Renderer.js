@@ -0,0 +1,289 @@
+// Renderer: everything needed to draw on one canvas, so several canvases can render side by side.
+// Each renderer owns its context, shader programs, projection / model view / view matrices, lights and figures, and
+// exposes the create / draw API as methods:
+//
+//     var renderer = createRenderer(canvas);
+//     var square = renderer.createSquare();
+//     mat4.translate(renderer.modelViewMatrix, renderer.modelViewMatrix, [0, 0, -3.5]);
+//     renderer.draw(square);
+//
+// The global functions in Figures.js (initGL(), initShader(), draw()...) drive the renderer of the context they are
+// given, using the global matrices and lights.
+
+// Attribute and uniform names of the flat shader in Figures.js
+var flatShaderAttributes = ["vertexPos", "vertexColor"];
+var flatShaderUniforms = ["projectionMatrix", "modelViewMatrix", "figureColor", "useVertexColor", "opacity"];
+
+// Creates a WebGL context on the canvas (see createWebGLContext()) and a renderer for it.
+// A canvas has only one context, so asking again for the same canvas returns the renderer it already has.
+// contextAttributes: optional WebGLContextAttributes, only used the first time.
+function createRenderer(canvas, contextAttributes)
+{
+    return contextRenderer(createWebGLContext(canvas, contextAttributes));
+}
+
+// The renderer of an existing context, created the first time it is asked for
+function contextRenderer(gl)
+{
+    return contextState(gl).renderer || attachRenderer(gl);
+}
+
+function attachRenderer(gl)
+{
+    var renderer = {
+        canvas: gl.canvas,
+        gl: gl,
+        projectionMatrix: mat4.create(),
+        modelViewMatrix: mat4.create(),
+        viewMatrix: mat4.create(),
+        lights: createLights(),
+        figures: contextState(gl).figures,
+        flatShader: null,
+        litShader: null,
+        // Vertex attribute locations enabled by the last draw
+        enabledAttributes: []
+    };
+    contextState(gl).renderer = renderer;
+
+    initRendererGL(renderer);
+    initViewport(gl, renderer.canvas);
+    initRendererShaders(renderer);
+    watchContextLoss(gl);
+
+    // Functions that take the gl context as their first argument become methods without it
+    var contextMethods = {
+        createFigure: createFigure, createSquare: createSquare, createTriangle: createTriangle,
+        createRhombus: createRhombus, createSphere: createSphere, createUVSphere: createUVSphere,
+        createSphereMesh: createSphereMesh, createIcosphere: createIcosphere, createDisc: createDisc, createArc: createArc,
+        createRegularPolygon: createRegularPolygon, createStar: createStar, createRing: createRing, createBox: createBox,
+        createCylinder: createCylinder, createCone: createCone, createTorus: createTorus, createMesh: createMesh,
+        setVertexColors: setVertexColors, deleteFigure: deleteFigure, buildScene: buildScene, loadScene: loadScene
+    };
+    Object.keys(contextMethods).forEach(function(name) {
+        var method = contextMethods[name];
+        renderer[name] = function() {
+            return method.apply(null, [gl].concat(Array.prototype.slice.call(arguments)));
+        };
+    });
+
+    renderer.draw = function(obj) { drawFigure(renderer, obj); };
+    renderer.drawScene = function(scene) { renderScene(renderer, scene); };
+    renderer.startRenderLoop = function(scene, update) {
+        return runRenderLoop(gl, function() { renderScene(renderer, scene); }, update);
+    };
+    renderer.exportSVG = function(target, width, height) { return exportSVG(target, width, height, renderer); };
+    renderer.setAmbientLight = function(color) { renderer.lights.ambient = color; };
+    renderer.addDirectionalLight = function(direction, color) {
+        return pushDirectionalLight(renderer.lights, direction, color);
+    };
+    renderer.addPointLight = function(position, color, attenuation) {
+        return pushPointLight(renderer.lights, position, color, attenuation);
+    };
+    renderer.removeLight = function(light) { spliceLight(renderer.lights, light); };
+    renderer.clearLights = function() { renderer.lights.directional = []; renderer.lights.point = []; };
+    // onRestored(gl) is called after a lost context has been rebuilt
+    renderer.watchContextLoss = function(onRestored) { return watchContextLoss(gl, onRestored); };
+
+    return renderer;
+}
+
+// Sets up the render state and resets the matrices: no model transform, no camera and a 45 degree perspective
+function initRendererGL(renderer)
+{
+    initRendererState(renderer);
+    resetRendererMatrices(renderer);
+}
+
+// Sets up the clear color, depth test and blending. This state lives in the context, so it is redone after a
+// context loss; the matrices live in the renderer and survive it.
+function initRendererState(renderer)
+{
+    var gl = renderer.gl;
+
+    // clear the background (with black)
+    gl.clearColor(0.0, 0.0, 0.0, 1.0);
+
+    // Clears the color buffer; the area in GPU memory used to render the bits on screen.
+    // There are several buffers, including the color, and depth buffers.
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+    // Only keep the fragments closest to the camera, so 3D figures hide their own back side
+    gl.enable(gl.DEPTH_TEST);
+
+    // Blend each fragment with what is already on screen using its alpha, so figures with opacity < 1 are see-through
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+}
+
+function resetRendererMatrices(renderer)
+{
+    var canvas = renderer.canvas;
+
+    mat4.identity(renderer.modelViewMatrix);
+    mat4.identity(renderer.viewMatrix);
+
+    // perspective(out, fovy, aspect, near, far) → {mat4}
+    // out	    mat4	mat4 frustum matrix will be written into
+    // fovy	    number	Vertical field of view in radians
+    // aspect	number	Aspect ratio. typically viewport width/height
+    // near	    number	Near bound of the frustum
+    // far	    number	Far bound of the frustum
+    mat4.perspective(renderer.projectionMatrix, Math.PI / 4, canvas.width / canvas.height, 1, 10000);
+}
+
+// Obtains handles to each of the variables defined in the GLSL shader code so that they can be initialized
+function shaderLocations(gl, program, attributes, uniforms)
+{
+    var shader = {program: program, attributes: {}, uniforms: {}};
+    attributes.forEach(function(name) {
+        shader.attributes[name] = gl.getAttribLocation(program, name);
+    });
+    uniforms.forEach(function(name) {
+        shader.uniforms[name] = gl.getUniformLocation(program, name);
+    });
+    return shader;
+}
+
+// Gets the flat and the lighting programs (compiled once per context, see getShaderProgram()) and their handles
+function initRendererShaders(renderer)
+{
+    var gl = renderer.gl;
+    renderer.flatShader = shaderLocations(gl, getShaderProgram(gl, vertexShaderSource, fragmentShaderSource),
+        flatShaderAttributes, flatShaderUniforms);
+    renderer.litShader = shaderLocations(gl, getShaderProgram(gl, lightingVertexShaderSource, lightingFragmentShaderSource),
+        lightingAttributes, lightingUniforms);
+}
+
+// Sets the renderer up again on a restored context, keeping its matrices; the figures are rebuilt by Context.js
+function restoreRenderer(renderer)
+{
+    renderer.enabledAttributes = [];
+    initRendererState(renderer);
+    initViewport(renderer.gl, renderer.canvas);
+    initRendererShaders(renderer);
+}
+
+// Enables exactly the given vertex attribute locations, disabling the ones a previous draw left enabled.
+// The list is updated in place, so draws through globalRenderer() (Figures.js) keep it in step with the context.
+function enableAttributes(renderer, locations)
+{
+    var gl = renderer.gl, enabled = renderer.enabledAttributes;
+    enabled.forEach(function(location) {
+        if (locations.indexOf(location) < 0)
+            gl.disableVertexAttribArray(location);
+    });
+    locations.forEach(function(location) {
+        gl.enableVertexAttribArray(location);
+    });
+    enabled.length = 0;
+    enabled.push.apply(enabled, locations);
+}
+
+// Points the color attribute at the figure's per-vertex colors, if it has any, and tells the shader which color to use.
+// Returns true when the color attribute needs to be enabled.
+function bindVertexColors(gl, obj, colorAttribute, useVertexColorUniform)
+{
+    gl.uniform1i(useVertexColorUniform, obj.colorBuffer ? 1 : 0);
+    if (!obj.colorBuffer || colorAttribute < 0)
+        return false;
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, obj.colorBuffer);
+    gl.vertexAttribPointer(colorAttribute, 4, gl.FLOAT, false, 0, 0);
+    return true;
+}
+
+// Issues the draw call: indexed figures use their element buffer, the others are drawn vertex by vertex
+function drawFigureVertices(gl, obj)
+{
+    if (obj.indexBuffer)
+    {
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, obj.indexBuffer);
+        gl.drawElements(obj.primtype, obj.nIndices, obj.indexType, 0);
+    }
+    else
+    {
+        gl.drawArrays(obj.primtype, 0, obj.nVerts);
+    }
+}
+
+// True when any part of the figure comes out with an alpha below 1: through its opacity, or the alpha of the color
+// the shaders use (its vertex colors, else its material or solid color)
+function isTranslucent(obj)
+{
+    var alpha;
+    if (obj.colorBuffer)
+    {
+        alpha = 1.0;
+        for (var i = 3; i < obj.vertexColors.length; i += 4)
+            alpha = Math.min(alpha, obj.vertexColors[i]);
+    }
+    else
+    {
+        var diffuse = obj.lit ? (obj.material || defaultMaterial).diffuse : null;
+        alpha = toRGBA(diffuse || obj.color || defaultFigureColor)[3];
+    }
+
+    return alpha * (obj.opacity === undefined ? 1.0 : obj.opacity) < 1.0;
+}
+
+// Draws the figure with the renderer's projection and model view matrices
+function drawFigure(renderer, obj)
+{
+    // Translucent figures don't write depth, so figures drawn after them further back still show through
+    var translucent = isTranslucent(obj);
+    if (translucent)
+        renderer.gl.depthMask(false);
+
+    // Figures with normals are lit, see Lighting.js
+    if (obj.lit)
+        drawLit(renderer, obj);
+    else
+        drawFlat(renderer, obj);
+
+    if (translucent)
+        renderer.gl.depthMask(true);
+}
+
+// drawFigure() for figures without normals
+function drawFlat(renderer, obj)
+{
+    var gl = renderer.gl;
+    var attributes = renderer.flatShader.attributes, uniforms = renderer.flatShader.uniforms;
+
+    // set the shader to use
+    gl.useProgram(renderer.flatShader.program);
+
+    // connect up the shader parameters: vertex position and projection/model matrices
+    // set the vertex buffer to be drawn
+    gl.bindBuffer(gl.ARRAY_BUFFER, obj.buffer);
+
+    // Specifies the memory layout of the vertex buffer object. It must be called once for each vertex attribute.
+    // gl.vertexAttribPointer(index, size, type, normalized, stride, offset);
+    // index: A GLuint specifying the index of the vertex attribute that is to be modified.
+    // size: A GLint specifying the number of components per vertex attribute. Must be 1, 2, 3, or 4.
+    // type: A GLenum specifying the data type of each component in the array.
+    // normalized: A GLboolean specifying whether integer data values should be normalized into a certain range when being casted to a float.
+    // stride: A GLsizei specifying the offset in bytes between the beginning of consecutive vertex attributes.
+    // offset: A GLintptr specifying an offset in bytes of the first component in the vertex attribute array
+    // Position-only figures are tightly packed (stride 0); meshes interleave other attributes after the position.
+    gl.vertexAttribPointer(attributes.vertexPos, obj.vertSize, gl.FLOAT, false, obj.stride || 0, 0);
+
+    // WebGLRenderingContext.uniformMatrix4fv(location, transpose, value);
+    // location: A WebGLUniformLocation object containing the location of the uniform attribute to modify. The location is obtained using getAttribLocation().
+    // transpose: A GLboolean specifying whether to transpose the matrix.
+    // value: A Float32Array or sequence of GLfloat values.
+    gl.uniformMatrix4fv(uniforms.projectionMatrix, false, renderer.projectionMatrix);
+    gl.uniformMatrix4fv(uniforms.modelViewMatrix, false, renderer.modelViewMatrix);
+
+    // Per-vertex colors take precedence over the solid color; figures with neither are drawn white
+    var enabled = [attributes.vertexPos];
+    if (bindVertexColors(gl, obj, attributes.vertexColor, uniforms.useVertexColor))
+        enabled.push(attributes.vertexColor);
+    enableAttributes(renderer, enabled);
+
+    gl.uniform4fv(uniforms.figureColor, toRGBA(obj.color || defaultFigureColor));
+    gl.uniform1f(uniforms.opacity, obj.opacity === undefined ? 1.0 : obj.opacity);
+
+    // draw the object
+    drawFigureVertices(gl, obj);
+}
@@ -0,0 +1,151 @@
+// Retained-mode scene graph built on top of draw().
+// A node holds an optional figure plus its own translation, rotation (radians around x, y, z) and scale. The node's
+// transform is relative to its parent, so moving a parent moves every child with it.
+
+function createSceneNode(figure)
+{
+    var node = {
+        figure: figure || null,
+        translation: [0, 0, 0],
+        rotation: [0, 0, 0],
+        scale: [1, 1, 1],
+        visible: true,
+        parent: null,
+        children: []
+    };
+    return node;
+}
+
+function addChild(parent, child)
+{
+    if (child.parent)
+        removeChild(child.parent, child);
+
+    child.parent = parent;
+    parent.children.push(child);
+    return child;
+}
+
+function removeChild(parent, child)
+{
+    var index = parent.children.indexOf(child);
+    if (index >= 0)
+    {
+        parent.children.splice(index, 1);
+        child.parent = null;
+    }
+}
+
+// Writes the node's transform relative to its parent into out: translate, then rotate x, y, z, then scale.
+function nodeLocalMatrix(out, node)
+{
+    mat4.identity(out);
+    mat4.translate(out, out, node.translation);
+    mat4.rotateX(out, out, node.rotation[0]);
+    mat4.rotateY(out, out, node.rotation[1]);
+    mat4.rotateZ(out, out, node.rotation[2]);
+    mat4.scale(out, out, node.scale);
+    return out;
+}
+
+// Walks the node and its descendants depth first, calling callback(node, matrix) with the node's composed transform.
+// Hidden nodes are skipped together with their children.
+function forEachSceneNode(node, parentMatrix, callback)
+{
+    if (!node.visible)
+        return;
+
+    var matrix = nodeLocalMatrix(mat4.create(), node);
+    mat4.multiply(matrix, parentMatrix, matrix);
+
+    callback(node, matrix);
+
+    for (var i = 0; i < node.children.length; i++)
+        forEachSceneNode(node.children[i], matrix, callback);
+}
+
+// A scene is a root node plus the color the canvas is cleared with before every frame.
+// scene.camera is optional (see Camera.js); without one the projectionMatrix from initGL() is used as is.
+function createScene()
+{
+    var scene = {root: createSceneNode(), clearColor: [0.0, 0.0, 0.0, 1.0], camera: null};
+    return scene;
+}
+
+// Clears the renderer's canvas and draws every visible figure in the scene, as seen from the scene's camera if it has one
+function renderScene(renderer, scene)
+{
+    var gl = renderer.gl;
+    gl.clearColor(scene.clearColor[0], scene.clearColor[1], scene.clearColor[2], scene.clearColor[3]);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+    // The camera's view matrix becomes the parent transform of the whole scene
+    mat4.identity(renderer.viewMatrix);
+    if (scene.camera)
+    {
+        resizeCamera(gl, scene.camera, renderer.canvas);
+        mat4.copy(renderer.projectionMatrix, scene.camera.projectionMatrix);
+        mat4.copy(renderer.viewMatrix, scene.camera.viewMatrix);
+    }
+
+    // Opaque figures first, in scene order. Translucent ones are blended over them afterwards, furthest from the
+    // camera first, so they don't hide what is behind them.
+    var opaque = [], translucent = [];
+    forEachSceneNode(scene.root, renderer.viewMatrix, function(node, matrix) {
+        if (node.figure)
+            (isTranslucent(node.figure) ? translucent : opaque).push({figure: node.figure, matrix: matrix});
+    });
+    translucent.sort(function(a, b) { return a.matrix[14] - b.matrix[14]; });
+
+    opaque.concat(translucent).forEach(function(item) {
+        mat4.copy(renderer.modelViewMatrix, item.matrix);
+        drawFigure(renderer, item.figure);
+    });
+}
+
+// renderScene() with the global matrices and lights
+function drawScene(gl, scene)
+{
+    renderScene(globalRenderer(gl), scene);
+}
+
+// Calls drawFrame() on every animation frame.
+// update(deltaTime, time), if given, is called before each frame with the seconds since the previous frame and since
+// the loop started, so nodes can be moved. Returns an object whose stop() ends the loop.
+function runRenderLoop(gl, drawFrame, update)
+{
+    var running = true;
+    var startTime = null, lastTime = null;
+
+    function frame(now)
+    {
+        if (!running)
+            return;
+
+        // Asked for first, so an exception thrown by update() or a draw only loses this frame
+        requestAnimationFrame(frame);
+
+        if (startTime === null)
+            startTime = lastTime = now;
+
+        if (update)
+            update((now - lastTime) / 1000, (now - startTime) / 1000);
+        lastTime = now;
+
+        // Nothing can be drawn while the context is lost; see watchContextLoss() in Context.js
+        if (!gl.isContextLost())
+            drawFrame();
+    }
+
+    requestAnimationFrame(frame);
+
+    return {
+        stop: function() { running = false; }
+    };
+}
+
+// Redraws the scene with drawScene() on every animation frame, see runRenderLoop()
+function startRenderLoop(gl, scene, update)
+{
+    return runRenderLoop(gl, function() { drawScene(gl, scene); }, update);
+}
@@ -0,0 +1,411 @@
+// Builds scenes (see Scene.js) from JSON documents instead of hardcoded JavaScript. A scene file looks like
+//
+//     {
+//         "clearColor": [0, 0, 0, 1],
+//         "camera": {"mode": "perspective", "position": [0, 0, 0], "target": [0, 0, -3.5]},
+//         "figures": [
+//             {"type": "sphere", "params": {"radius": 0.5}, "translation": [0.9, -0.5, -3.5], "color": [1, 0, 0],
+//              "children": [{"type": "rhombus", "translation": [1, 0, 0], "scale": [0.5, 0.5, 0.5]}]}
+//         ]
+//     }
+//
+// Every figure needs a "type" from sceneFigureTypes. "params", "translation", "rotation" (radians), "scale",
+// "color", "opacity", "visible" and "children" are optional. Camera fields are the createCamera() options.
+
+// Limits on numeric figure parameters: whole numbers between min and max for vertex counts, so a typo can't ask for
+// millions of vertices, and strictly positive sizes
+function sceneCount(min, max)
+{
+    return {integer: true, min: min, max: max};
+}
+var scenePositive = {positive: true};
+var sceneNonNegative = {min: 0};
+
+// Figure types a scene file can use: the parameters each accepts, with their defaults (null = required), the limits
+// of the numeric ones, and how to build it from the existing create* functions.
+// check(params), if given, compares parameters with each other once each is valid on its own. It returns null, or the
+// name of the offending parameter and what was expected of it.
+var sceneFigureTypes = {
+    square: {params: {}, create: function(gl, p) { return createSquare(gl); }},
+    triangle: {params: {}, create: function(gl, p) { return createTriangle(gl); }},
+    rhombus: {params: {}, create: function(gl, p) { return createRhombus(gl); }},
+    sphere: {
+        params: {radius: 0.5},
+        limits: {radius: scenePositive},
+        create: function(gl, p) { return createSphere(gl, p.radius); }
+    },
+    uvSphere: {
+        params: {radius: 0.5, slices: 32, stacks: 16, wireframe: false},
+        limits: {radius: scenePositive, slices: sceneCount(3, 256), stacks: sceneCount(2, 256)},
+        create: function(gl, p) { return createUVSphere(gl, p.radius, p.slices, p.stacks, p.wireframe); }
+    },
+    icosphere: {
+        params: {radius: 0.5, subdivisions: 2, wireframe: false},
+        limits: {radius: scenePositive, subdivisions: sceneCount(0, 6)},
+        create: function(gl, p) { return createIcosphere(gl, p.radius, p.subdivisions, p.wireframe); }
+    },
+    disc: {
+        params: {radius: 0.5, segments: 32, wireframe: false},
+        limits: {radius: scenePositive, segments: sceneCount(3, 1024)},
+        create: function(gl, p) { return createDisc(gl, p.radius, p.segments, p.wireframe); }
+    },
+    arc: {
+        params: {radius: 0.5, startAngle: null, endAngle: null, segments: 32, wireframe: false},
+        limits: {radius: scenePositive, segments: sceneCount(1, 1024)},
+        create: function(gl, p) { return createArc(gl, p.radius, p.startAngle, p.endAngle, p.segments, p.wireframe); }
+    },
+    polygon: {
+        params: {radius: 0.5, sides: null, wireframe: false},
+        limits: {radius: scenePositive, sides: sceneCount(3, 1024)},
+        create: function(gl, p) { return createRegularPolygon(gl, p.radius, p.sides, p.wireframe); }
+    },
+    star: {
+        params: {outerRadius: 0.5, innerRadius: 0.2, points: 5, wireframe: false},
+        limits: {outerRadius: scenePositive, innerRadius: scenePositive, points: sceneCount(2, 512)},
+        check: function(p) {
+            if (p.innerRadius > p.outerRadius)
+                return {param: "innerRadius", expected: "a number no greater than outerRadius (" + p.outerRadius + ")"};
+            return null;
+        },
+        create: function(gl, p) { return createStar(gl, p.outerRadius, p.innerRadius, p.points, p.wireframe); }
+    },
+    ring: {
+        params: {innerRadius: 0.25, outerRadius: 0.5, segments: 32, wireframe: false},
+        limits: {innerRadius: sceneNonNegative, outerRadius: scenePositive, segments: sceneCount(3, 1024)},
+        check: function(p) {
+            if (p.innerRadius >= p.outerRadius)
+                return {param: "innerRadius", expected: "a number smaller than outerRadius (" + p.outerRadius + ")"};
+            return null;
+        },
+        create: function(gl, p) { return createRing(gl, p.innerRadius, p.outerRadius, p.segments, p.wireframe); }
+    },
+    box: {
+        params: {width: 1, height: 1, depth: 1, wireframe: false, lit: false},
+        limits: {width: scenePositive, height: scenePositive, depth: scenePositive},
+        create: function(gl, p) { return createBox(gl, p.width, p.height, p.depth, p.wireframe, p.lit); }
+    },
+    cylinder: {
+        params: {radius: 0.5, height: 1, slices: 32, wireframe: false, lit: false},
+        limits: {radius: scenePositive, height: scenePositive, slices: sceneCount(3, 256)},
+        create: function(gl, p) { return createCylinder(gl, p.radius, p.height, p.slices, p.wireframe, p.lit); }
+    },
+    cone: {
+        params: {radius: 0.5, height: 1, slices: 32, wireframe: false, lit: false},
+        limits: {radius: scenePositive, height: scenePositive, slices: sceneCount(3, 256)},
+        create: function(gl, p) { return createCone(gl, p.radius, p.height, p.slices, p.wireframe, p.lit); }
+    },
+    torus: {
+        params: {radius: 0.5, tubeRadius: 0.2, radialSegments: 32, tubularSegments: 16, wireframe: false, lit: false},
+        limits: {
+            radius: scenePositive, tubeRadius: scenePositive,
+            radialSegments: sceneCount(3, 256), tubularSegments: sceneCount(3, 256)
+        },
+        create: function(gl, p) {
+            return createTorus(gl, p.radius, p.tubeRadius, p.radialSegments, p.tubularSegments, p.wireframe, p.lit);
+        }
+    }
+};
+
+var sceneFigureFields = ["type", "params", "translation", "rotation", "scale", "color", "opacity", "visible", "children"];
+var sceneCameraFields = ["mode", "position", "target", "up", "fov", "orthoHeight", "near", "far"];
+
+function isSceneNumber(value)
+{
+    return typeof value === "number" && isFinite(value);
+}
+
+function isSceneObject(value)
+{
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Checks that value is an array of `lengths` numbers, each between min and max if given; returns an error or null
+function checkSceneVector(value, path, lengths, min, max)
+{
+    if (!Array.isArray(value) || lengths.indexOf(value.length) < 0 || !value.every(isSceneNumber))
+        return path + ": expected an array of " + lengths.join(" or ") + " numbers, got " + JSON.stringify(value);
+
+    if (min !== undefined && value.some(function(x) { return x < min || x > max; }))
+        return path + ": every component must be between " + min + " and " + max + ", got " + JSON.stringify(value);
+
+    return null;
+}
+
+// Checks a number against one of the limits above; returns an error or null
+function checkSceneLimit(value, path, limit)
+{
+    if (limit.positive && !(value > 0))
+        return path + ": expected a positive number, got " + JSON.stringify(value);
+    if (limit.integer && (value % 1 != 0 || value < limit.min || value > limit.max))
+        return path + ": expected a whole number between " + limit.min + " and " + limit.max +
+            ", got " + JSON.stringify(value);
+    if (!limit.integer && limit.min !== undefined && value < limit.min)
+        return path + ": expected a number of at least " + limit.min + ", got " + JSON.stringify(value);
+
+    return null;
+}
+
+// Pushes an error for every field of obj that isn't in allowed, to catch typos such as "translate"
+function checkSceneFields(obj, allowed, path, errors)
+{
+    Object.keys(obj).forEach(function(key) {
+        if (allowed.indexOf(key) < 0)
+            errors.push(path + "." + key + ": unknown field (expected one of " + allowed.join(", ") + ")");
+    });
+}
+
+function validateSceneFigure(figure, path, errors)
+{
+    if (!isSceneObject(figure))
+    {
+        errors.push(path + ": expected an object, got " + JSON.stringify(figure));
+        return;
+    }
+    checkSceneFields(figure, sceneFigureFields, path, errors);
+
+    var type = sceneFigureTypes.hasOwnProperty(figure.type) ? sceneFigureTypes[figure.type] : null;
+    if (figure.type === undefined)
+        errors.push(path + ".type: missing field (expected one of " + Object.keys(sceneFigureTypes).join(", ") + ")");
+    else if (!type)
+        errors.push(path + ".type: unknown figure type " + JSON.stringify(figure.type) +
+            " (expected one of " + Object.keys(sceneFigureTypes).join(", ") + ")");
+
+    var params = figure.params === undefined ? {} : figure.params;
+    if (!isSceneObject(params))
+        errors.push(path + ".params: expected an object, got " + JSON.stringify(params));
+    else if (type)
+    {
+        var names = Object.keys(type.params);
+        var errorCount = errors.length;
+        checkSceneFields(params, names, path + ".params", errors);
+        names.forEach(function(name) {
+            var value = params[name], defaultValue = type.params[name];
+            if (value === undefined)
+            {
+                if (defaultValue === null)
+                    errors.push(path + ".params." + name + ": missing field, required by " + figure.type);
+            }
+            else if (typeof defaultValue === "boolean" ? typeof value !== "boolean" : !isSceneNumber(value))
+            {
+                errors.push(path + ".params." + name + ": expected a " +
+                    (typeof defaultValue === "boolean" ? "boolean" : "number") + ", got " + JSON.stringify(value));
+            }
+            else if (type.limits && type.limits[name])
+            {
+                var limitError = checkSceneLimit(value, path + ".params." + name, type.limits[name]);
+                if (limitError)
+                    errors.push(limitError);
+            }
+        });
+
+        if (type.check && errors.length == errorCount)
+        {
+            var merged = sceneFigureParams(type, params), problem = type.check(merged);
+            if (problem)
+                errors.push(path + ".params." + problem.param + ": expected " + problem.expected +
+                    ", got " + JSON.stringify(merged[problem.param]));
+        }
+    }
+
+    ["translation", "rotation", "scale"].forEach(function(field) {
+        if (figure[field] !== undefined)
+        {
+            var error = checkSceneVector(figure[field], path + "." + field, [3]);
+            if (error)
+                errors.push(error);
+        }
+    });
+
+    if (figure.color !== undefined)
+    {
+        var colorError = checkSceneVector(figure.color, path + ".color", [3, 4], 0, 1);
+        if (colorError)
+            errors.push(colorError);
+    }
+    if (figure.opacity !== undefined && !(isSceneNumber(figure.opacity) && figure.opacity >= 0 && figure.opacity <= 1))
+        errors.push(path + ".opacity: expected a number between 0 and 1, got " + JSON.stringify(figure.opacity));
+    if (figure.visible !== undefined && typeof figure.visible !== "boolean")
+        errors.push(path + ".visible: expected a boolean, got " + JSON.stringify(figure.visible));
+
+    if (figure.children !== undefined)
+    {
+        if (!Array.isArray(figure.children))
+            errors.push(path + ".children: expected an array, got " + JSON.stringify(figure.children));
+        else
+            figure.children.forEach(function(child, i) {
+                validateSceneFigure(child, path + ".children[" + i + "]", errors);
+            });
+    }
+}
+
+function validateSceneCamera(camera, errors)
+{
+    if (!isSceneObject(camera))
+    {
+        errors.push("camera: expected an object, got " + JSON.stringify(camera));
+        return;
+    }
+    checkSceneFields(camera, sceneCameraFields, "camera", errors);
+
+    if (camera.mode !== undefined && camera.mode != "perspective" && camera.mode != "orthographic")
+        errors.push("camera.mode: expected \"perspective\" or \"orthographic\", got " + JSON.stringify(camera.mode));
+
+    var vectorErrors = errors.length;
+    ["position", "target", "up"].forEach(function(field) {
+        if (camera[field] !== undefined)
+        {
+            var error = checkSceneVector(camera[field], "camera." + field, [3]);
+            if (error)
+                errors.push(error);
+        }
+    });
+
+    // The camera needs a direction to look along and an up that isn't along it. Fields left out get createCamera()'s
+    // defaults (position at the origin, target [0, 0, -3.5], up [0, 1, 0]).
+    if (errors.length == vectorErrors)
+    {
+        var position = camera.position || [0, 0, 0], target = camera.target || [0, 0, -3.5];
+        var up = camera.up || [0, 1, 0];
+        var look = [target[0] - position[0], target[1] - position[1], target[2] - position[2]];
+        // look x up is zero when up points along the line of sight
+        var side = [
+            look[1] * up[2] - look[2] * up[1],
+            look[2] * up[0] - look[0] * up[2],
+            look[0] * up[1] - look[1] * up[0]
+        ];
+
+        if (look.every(function(x) { return x == 0; }))
+            errors.push("camera.target: expected a point other than position " + JSON.stringify(position) +
+                ", got " + JSON.stringify(target));
+        else if (up.every(function(x) { return x == 0; }))
+            errors.push("camera.up: expected a non-zero direction, got " + JSON.stringify(up));
+        else if (side.every(function(x) { return x == 0; }))
+            errors.push("camera.up: expected a direction not along the line from position to target, got " +
+                JSON.stringify(up));
+    }
+
+    var valid = {};
+    ["fov", "orthoHeight", "near", "far"].forEach(function(field) {
+        if (camera[field] === undefined)
+            return;
+        valid[field] = isSceneNumber(camera[field]) && camera[field] > 0;
+        if (!valid[field])
+            errors.push("camera." + field + ": expected a positive number, got " + JSON.stringify(camera[field]));
+    });
+
+    // A plane left out gets createCamera()'s default (near 1, far 10000)
+    var near = camera.near === undefined ? 1 : camera.near, far = camera.far === undefined ? 10000 : camera.far;
+    if (valid.near !== false && valid.far !== false && near >= far)
+        errors.push("camera.far: expected a number greater than near (" + near + "), got " + far);
+}
+
+// Checks a parsed scene document without building anything. Returns a list of error messages, each starting with
+// the path of the offending value (e.g. "figures[2].translation"); the list is empty when the scene is valid.
+function validateScene(json)
+{
+    var errors = [];
+    if (!isSceneObject(json))
+        return ["scene: expected an object, got " + JSON.stringify(json)];
+
+    checkSceneFields(json, ["clearColor", "camera", "figures"], "scene", errors);
+
+    if (json.clearColor !== undefined)
+    {
+        var error = checkSceneVector(json.clearColor, "clearColor", [3, 4], 0, 1);
+        if (error)
+            errors.push(error);
+    }
+
+    if (json.camera !== undefined)
+        validateSceneCamera(json.camera, errors);
+
+    if (json.figures === undefined)
+        errors.push("figures: missing field");
+    else if (!Array.isArray(json.figures))
+        errors.push("figures: expected an array, got " + JSON.stringify(json.figures));
+    else
+        json.figures.forEach(function(figure, i) {
+            validateSceneFigure(figure, "figures[" + i + "]", errors);
+        });
+
+    return errors;
+}
+
+// The type's defaults overridden with the file's params
+function sceneFigureParams(type, params)
+{
+    var merged = {};
+    for (var name in type.params)
+        merged[name] = params[name] !== undefined ? params[name] : type.params[name];
+    return merged;
+}
+
+function buildSceneNode(gl, figure)
+{
+    var type = sceneFigureTypes[figure.type];
+
+    var obj = type.create(gl, sceneFigureParams(type, figure.params || {}));
+    if (figure.color)
+        setFigureColor(obj, figure.color);
+    if (figure.opacity !== undefined)
+        obj.opacity = figure.opacity;
+
+    var node = createSceneNode(obj);
+    node.translation = figure.translation || node.translation;
+    node.rotation = figure.rotation || node.rotation;
+    node.scale = figure.scale || node.scale;
+    node.visible = figure.visible === undefined ? true : figure.visible;
+
+    (figure.children || []).forEach(function(child) {
+        addChild(node, buildSceneNode(gl, child));
+    });
+
+    return node;
+}
+
+// Validates a parsed scene document and builds it. Throws an Error listing every problem found if it isn't valid;
+// the individual messages are also available as error.errors.
+function buildScene(gl, json)
+{
+    var errors = validateScene(json);
+    if (errors.length > 0)
+    {
+        var error = new Error("Invalid scene:\n    " + errors.join("\n    "));
+        error.errors = errors;
+        throw error;
+    }
+
+    var scene = createScene();
+    if (json.clearColor)
+        scene.clearColor = toRGBA(json.clearColor);
+    if (json.camera)
+        scene.camera = createCamera(gl.canvas, json.camera);
+
+    json.figures.forEach(function(figure) {
+        addChild(scene.root, buildSceneNode(gl, figure));
+    });
+
+    return scene;
+}
+
+// Downloads the scene file at url and builds it. Returns a promise for the scene, rejected with the request or
+// validation error.
+function loadScene(gl, url)
+{
+    return $.getJSON(url).then(
+        function(json) {
+            return buildScene(gl, json);
+        },
+        function(request, status, error) {
+            throw new Error("Could not load scene " + url + ": " + (error || status));
+        });
+}
+
+// Outside of the browser expose the validation, which doesn't need a gl context, for test/SceneLoader.test.js
+if (typeof module !== "undefined" && module.exports)
+{
+    module.exports = {
+        sceneFigureTypes: sceneFigureTypes,
+        validateScene: validateScene
+    };
+}
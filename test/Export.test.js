@@ -0,0 +1,147 @@
+// Run with: node --test test/*.test.js
+var test = require("node:test");
+var assert = require("assert");
+var exporters = require("../Export.js");
+var primitives = require("../Primitives.js");
+var P = exporters.exportPrimitives;
+
+// A figure as createFigure() keeps it, without the buffer
+function figure(verts, primtype, indices)
+{
+    return {verts: verts, nVerts: verts.length / 3, primtype: primtype, indices: indices};
+}
+
+// The createSquare() vertices
+var square = [0.5, 0.5, 0, -0.5, 0.5, 0, 0.5, -0.5, 0, -0.5, -0.5, 0];
+
+test("figureTriangles keeps a TRIANGLES list as it is", function() {
+    assert.deepStrictEqual(exporters.figureTriangles(figure(square.concat(square.slice(0, 6)), P.TRIANGLES)),
+        [[0, 1, 2], [3, 4, 5]]);
+});
+
+test("figureTriangles flips every other strip triangle so the winding is kept", function() {
+    assert.deepStrictEqual(exporters.figureTriangles(figure(square, P.TRIANGLE_STRIP)), [[0, 1, 2], [2, 1, 3]]);
+});
+
+test("figureTriangles expands a fan around its first vertex", function() {
+    var polygon = primitives.polygonVertices(1, 4);
+    assert.deepStrictEqual(exporters.figureTriangles(figure(polygon, P.TRIANGLE_FAN)),
+        [[0, 1, 2], [0, 2, 3], [0, 3, 4], [0, 4, 5]]);
+});
+
+test("figureTriangles follows the index buffer of meshes", function() {
+    assert.deepStrictEqual(exporters.figureTriangles(figure(square, P.TRIANGLES, [0, 1, 2, 2, 1, 3])),
+        [[0, 1, 2], [2, 1, 3]]);
+});
+
+test("line figures have lines and no triangles", function() {
+    var outline = figure(primitives.polygonOutlineVertices(1, 3), P.LINE_LOOP);
+    assert.deepStrictEqual(exporters.figureTriangles(outline), []);
+    assert.deepStrictEqual(exporters.figureLines(outline), [[0, 1], [1, 2], [2, 0]]);
+});
+
+test("exportOBJ writes the vertices and 1-based faces of a figure", function() {
+    assert.strictEqual(exporters.exportOBJ(figure(square, P.TRIANGLE_STRIP)), [
+        "# Exported by Figures.js",
+        "o figure0",
+        "v 0.5 0.5 0",
+        "v -0.5 0.5 0",
+        "v 0.5 -0.5 0",
+        "v -0.5 -0.5 0",
+        "f 1 2 3",
+        "f 3 2 4",
+        ""
+    ].join("\n"));
+});
+
+test("exportSTL gives every box triangle an outward facet normal", function() {
+    var box = figure(primitives.boxVertices(1, 1, 1), P.TRIANGLES);
+    var facets = exporters.exportSTL(box).split("facet normal ").slice(1);
+    assert.strictEqual(facets.length, 12);
+    facets.forEach(function(facet) {
+        var numbers = facet.match(/-?[\d.]+(e-?\d+)?/g).map(Number);
+        // The normal, then the three vertices: their center lies on the side the normal points to
+        var center = [0, 1, 2].map(function(k) { return numbers[3 + k] + numbers[6 + k] + numbers[9 + k]; });
+        assert.ok(numbers[0] * center[0] + numbers[1] * center[1] + numbers[2] * center[2] > 0, facet);
+    });
+
+    var binary = exporters.exportSTL(box, true);
+    assert.strictEqual(binary.byteLength, 84 + 12 * 50);
+    assert.strictEqual(new DataView(binary).getUint32(80, true), 12);
+});
+
+// Stand-ins for gl-matrix and Scene.js, which scene exports use: nodes with a translation and scale only
+global.mat4 = {
+    create: function() { return [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]; }
+};
+global.forEachSceneNode = function(node, parentMatrix, callback) {
+    var matrix = parentMatrix.slice();
+    var translation = node.translation || [0, 0, 0], scale = node.scale || [1, 1, 1];
+    for (var k = 0; k < 3; k++)
+    {
+        matrix[12 + k] += translation[k];
+        matrix[k * 5] *= scale[k];
+    }
+    callback(node, matrix);
+    (node.children || []).forEach(function(child) {
+        global.forEachSceneNode(child, matrix, callback);
+    });
+};
+
+function sceneOf(nodes)
+{
+    return {root: {children: nodes}};
+}
+
+// The box as createBox(gl, 1, 1, 1, false, true) keeps it
+function litBox()
+{
+    var mesh = require("../Mesh.js").flatMeshData(primitives.boxVertices(1, 1, 1));
+    return {verts: mesh.positions, normals: mesh.normals, indices: mesh.indices, primtype: P.TRIANGLES};
+}
+
+// The lines of the OBJ text starting with the keyword
+function objLines(obj, keyword)
+{
+    return obj.split("\n").filter(function(line) { return line.indexOf(keyword + " ") == 0; });
+}
+
+test("exportOBJ numbers the normals of a mesh after unlit figures on their own", function() {
+    var box = litBox();
+    var obj = exporters.exportOBJ(sceneOf([
+        {figure: figure(square, P.TRIANGLE_STRIP)},
+        {figure: box, translation: [2, 0, 0]},
+        {figure: box, translation: [4, 0, 0]}
+    ]));
+
+    var vertexCount = objLines(obj, "v").length, normalCount = objLines(obj, "vn").length;
+    assert.strictEqual(vertexCount, 4 + 24 * 2);
+    assert.strictEqual(normalCount, 24 * 2);
+
+    var meshFaces = objLines(obj, "f").slice(2);
+    assert.strictEqual(meshFaces.length, 12 * 2);
+    meshFaces.forEach(function(face, n) {
+        face.split(" ").slice(1).forEach(function(corner) {
+            var parts = corner.split("//").map(Number);
+            // Each box's vertex and its normal have the same number within the box
+            assert.strictEqual(parts[0] - 4, parts[1]);
+            assert.ok(parts[1] >= 1 + (n < 12 ? 0 : 24) && parts[1] <= (n < 12 ? 24 : 48), face);
+        });
+    });
+});
+
+test("exportOBJ keeps normals unit length and outward under scaling", function() {
+    var box = litBox();
+    [[2, 1, 1], [-1, 1, 1], [1, 1, 0]].forEach(function(scale) {
+        var obj = exporters.exportOBJ(sceneOf([{figure: box, scale: scale}]));
+        var normals = objLines(obj, "vn").map(function(line) { return line.split(" ").slice(1).map(Number); });
+        normals.forEach(function(normal, i) {
+            var original = box.normals.slice(i * 3, i * 3 + 3);
+            assert.ok(Math.abs(Math.hypot(normal[0], normal[1], normal[2]) - 1) < 1e-9, JSON.stringify(normal));
+            // A face normal stays on its axis, pointing the way the scaled face now faces
+            var axis = original.findIndex(function(x) { return x != 0; });
+            var expected = scale[axis] == 0 ? 1 : Math.sign(scale[axis]);
+            assert.strictEqual(Math.sign(normal[axis]), Math.sign(original[axis]) * expected, JSON.stringify(scale));
+        });
+    });
+});
@@ -0,0 +1,56 @@
+// Run with: node --test test/*.test.js
+var test = require("node:test");
+var assert = require("assert");
+var geometry = require("../Geometry.js");
+var winding = require("./winding.js");
+var triangles = winding.triangles, facesOutward = winding.facesOutward;
+
+test("uvSphereVertices skips the degenerate pole triangles", function() {
+    var verts = geometry.uvSphereVertices(1, 8, 4);
+    // Two triangles per cell, minus one per cell on the first and last stack
+    assert.strictEqual(verts.length / 9, 8 * 4 * 2 - 2 * 8);
+});
+
+test("uvSphereVertices puts every vertex on the sphere", function() {
+    var verts = geometry.uvSphereVertices(2, 12, 6);
+    for (var i = 0; i < verts.length; i += 3)
+        assert.ok(Math.abs(Math.hypot(verts[i], verts[i + 1], verts[i + 2]) - 2) < 1e-9);
+});
+
+test("uvSphereVertices winds every triangle counter-clockwise seen from outside", function() {
+    triangles(geometry.uvSphereVertices(1, 16, 8)).forEach(function(t) {
+        assert.ok(facesOutward(t), JSON.stringify(t));
+    });
+});
+
+test("icosphereVertices has 20 * 4^n triangles", function() {
+    [0, 1, 2].forEach(function(level) {
+        assert.strictEqual(geometry.icosphereVertices(1, level).length / 9, 20 * Math.pow(4, level));
+    });
+});
+
+test("icosphereVertices winds every triangle counter-clockwise seen from outside", function() {
+    triangles(geometry.icosphereVertices(1, 2)).forEach(function(t) {
+        assert.ok(facesOutward(t), JSON.stringify(t));
+    });
+});
+
+test("sphereMeshData indexes the same triangles as uvSphereVertices", function() {
+    var mesh = geometry.sphereMeshData(1, 8, 4);
+    assert.strictEqual(mesh.indices.length, geometry.uvSphereVertices(1, 8, 4).length / 3);
+    assert.strictEqual(mesh.positions.length / 3, 9 * 5);
+    for (var i = 0; i < mesh.indices.length; i += 3)
+    {
+        var t = mesh.indices.slice(i, i + 3).map(function(index) {
+            return mesh.positions.slice(index * 3, index * 3 + 3);
+        });
+        assert.ok(facesOutward(t));
+    }
+});
+
+test("arcVertices starts at the center and ends on endAngle", function() {
+    var verts = geometry.arcVertices(1, 0, Math.PI / 2, 4);
+    assert.strictEqual(verts.length / 3, 6);
+    assert.deepStrictEqual(verts.slice(0, 3), [0, 0, 0]);
+    assert.ok(Math.abs(verts[15]) < 1e-9 && Math.abs(verts[16] - 1) < 1e-9);
+});
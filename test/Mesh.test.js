@@ -0,0 +1,39 @@
+// Run with: node --test test/*.test.js
+var test = require("node:test");
+var assert = require("assert");
+var meshes = require("../Mesh.js");
+var primitives = require("../Primitives.js");
+
+test("flatMeshData shares the corners of each box face", function() {
+    var mesh = meshes.flatMeshData(primitives.boxVertices(1, 1, 1));
+    assert.strictEqual(mesh.positions.length / 3, 6 * 4);
+    assert.strictEqual(mesh.indices.length, 6 * 2 * 3);
+});
+
+test("flatMeshData gives every vertex the outward normal of its face", function() {
+    var mesh = meshes.flatMeshData(primitives.boxVertices(2, 2, 2));
+    for (var i = 0; i < mesh.positions.length; i += 3)
+    {
+        var p = mesh.positions.slice(i, i + 3), n = mesh.normals.slice(i, i + 3);
+        // On a box centered at the origin the face normal points along the corner's coordinate of that axis
+        var axis = [0, 1, 2].filter(function(k) { return n[k] != 0; });
+        assert.strictEqual(axis.length, 1);
+        assert.strictEqual(n[axis[0]], Math.sign(p[axis[0]]));
+    }
+});
+
+test("flatMeshData drops degenerate triangles", function() {
+    var mesh = meshes.flatMeshData([0, 0, 0, 1, 0, 0, 2, 0, 0, 0, 0, 0, 1, 0, 0, 0, 1, 0]);
+    assert.deepStrictEqual(mesh.indices, [0, 1, 2]);
+    assert.deepStrictEqual(mesh.normals.slice(0, 3), [0, 0, 1]);
+});
+
+test("interleaveMeshData packs position, normal and uv per vertex", function() {
+    var data = meshes.interleaveMeshData({positions: [1, 2, 3, 4, 5, 6], normals: [0, 0, 1, 0, 1, 0], uvs: [0.5, 1, 0, 0.25]});
+    assert.deepStrictEqual(Array.from(data), [1, 2, 3, 0, 0, 1, 0.5, 1, 4, 5, 6, 0, 1, 0, 0, 0.25]);
+});
+
+test("interleaveMeshData fills missing normals and uvs with zeros", function() {
+    var data = meshes.interleaveMeshData({positions: [1, 2, 3]});
+    assert.deepStrictEqual(Array.from(data), [1, 2, 3, 0, 0, 0, 0, 0]);
+});
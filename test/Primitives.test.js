@@ -0,0 +1,64 @@
+// Run with: node --test test/*.test.js
+var test = require("node:test");
+var assert = require("assert");
+var primitives = require("../Primitives.js");
+var winding = require("./winding.js");
+var triangles = winding.triangles, facesOutward = winding.facesOutward;
+
+test("boxVertices has two outward triangles per face", function() {
+    var list = triangles(primitives.boxVertices(1, 2, 3));
+    assert.strictEqual(list.length, 12);
+    list.forEach(function(t) {
+        assert.ok(facesOutward(t), JSON.stringify(t));
+    });
+});
+
+test("cylinderVertices winds the side and both caps outward", function() {
+    var list = triangles(primitives.cylinderVertices(1, 2, 8));
+    assert.strictEqual(list.length, 8 * 4);
+    list.forEach(function(t) {
+        assert.ok(facesOutward(t), JSON.stringify(t));
+    });
+});
+
+test("coneVertices winds the side and the base outward", function() {
+    var list = triangles(primitives.coneVertices(1, 2, 8));
+    assert.strictEqual(list.length, 8 * 2);
+    list.forEach(function(t) {
+        assert.ok(facesOutward(t), JSON.stringify(t));
+    });
+});
+
+test("torusVertices winds every triangle away from the middle of the tube", function() {
+    var radius = 2;
+    var list = triangles(primitives.torusVertices(radius, 0.5, 12, 8));
+    assert.strictEqual(list.length, 12 * 8 * 2);
+    list.forEach(function(t) {
+        // The closest point on the circle running through the middle of the tube
+        var x = (t[0][0] + t[1][0] + t[2][0]) / 3, z = (t[0][2] + t[1][2] + t[2][2]) / 3;
+        var length = Math.hypot(x, z);
+        assert.ok(facesOutward(t, [x / length * radius, 0, z / length * radius]), JSON.stringify(t));
+    });
+});
+
+test("wireframeVertices lists every shared edge once", function() {
+    // A box has 12 edges plus one diagonal per face
+    assert.strictEqual(primitives.wireframeVertices(primitives.boxVertices(1, 1, 1)).length / 6, 12 + 6);
+});
+
+test("polygonVertices closes the fan on the first corner", function() {
+    var verts = primitives.polygonVertices(1, 5);
+    assert.strictEqual(verts.length / 3, 1 + 5 + 1);
+    assert.deepStrictEqual(verts.slice(3, 6), verts.slice(-3));
+});
+
+test("starOutlineVertices alternates outer and inner radii", function() {
+    var verts = primitives.starOutlineVertices(2, 1, 5);
+    assert.strictEqual(verts.length / 3, 10);
+    for (var i = 0; i < verts.length; i += 3)
+        assert.ok(Math.abs(Math.hypot(verts[i], verts[i + 1]) - (i / 3 % 2 == 0 ? 2 : 1)) < 1e-9);
+});
+
+test("boxOutlineVertices has the 12 edges of a box", function() {
+    assert.strictEqual(primitives.boxOutlineVertices(1, 1, 1).length / 6, 12);
+});
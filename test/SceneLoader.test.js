@@ -0,0 +1,78 @@
+// Run with: node --test test/*.test.js
+var test = require("node:test");
+var assert = require("assert");
+var validateScene = require("../SceneLoader.js").validateScene;
+var scene = require("../scenes/figures.json");
+
+// Errors for a scene holding just the one figure
+function figureErrors(figure)
+{
+    return validateScene({figures: [figure]});
+}
+
+test("the bundled scene is valid", function() {
+    assert.deepStrictEqual(validateScene(scene), []);
+});
+
+test("every error starts with the path of the offending value", function() {
+    var errors = validateScene({
+        clearColor: [0, 0, 2],
+        figures: [{type: "square"}, {type: "triangle", translation: [0, 0]}, {type: "cube"}]
+    });
+    assert.strictEqual(errors.length, 3);
+    assert.match(errors[0], /^clearColor: /);
+    assert.match(errors[1], /^figures\[1\]\.translation: /);
+    assert.match(errors[2], /^figures\[2\]\.type: unknown figure type "cube"/);
+});
+
+test("misspelled and missing fields are reported", function() {
+    assert.match(figureErrors({type: "square", translate: [0, 0, 0]})[0], /^figures\[0\]\.translate: unknown field/);
+    assert.match(figureErrors({type: "polygon"})[0], /^figures\[0\]\.params\.sides: missing field/);
+    assert.match(validateScene({})[0], /^figures: missing field/);
+});
+
+test("children are validated with their own path", function() {
+    var errors = figureErrors({type: "square", children: [{type: "disc", params: {radius: "big"}}]});
+    assert.deepStrictEqual(errors, ['figures[0].children[0].params.radius: expected a number, got "big"']);
+});
+
+test("counts must be whole numbers within their limits", function() {
+    assert.match(figureErrors({type: "polygon", params: {sides: -3}})[0], /^figures\[0\]\.params\.sides: expected a whole number/);
+    assert.match(figureErrors({type: "star", params: {points: 2.5}})[0], /^figures\[0\]\.params\.points: expected a whole number/);
+    assert.match(figureErrors({type: "uvSphere", params: {slices: 1e9}})[0], /^figures\[0\]\.params\.slices: expected a whole number/);
+    assert.deepStrictEqual(figureErrors({type: "polygon", params: {sides: 6}}), []);
+});
+
+test("sizes must be positive", function() {
+    assert.match(figureErrors({type: "sphere", params: {radius: -1}})[0], /^figures\[0\]\.params\.radius: expected a positive number/);
+    assert.match(figureErrors({type: "box", params: {depth: 0}})[0], /^figures\[0\]\.params\.depth: expected a positive number/);
+    assert.deepStrictEqual(figureErrors({type: "ring", params: {innerRadius: 0}}), []);
+});
+
+test("the camera's near plane must be in front of the far plane", function() {
+    var errors = validateScene({camera: {near: 5, far: 1}, figures: []});
+    assert.deepStrictEqual(errors, ["camera.far: expected a number greater than near (5), got 1"]);
+    assert.strictEqual(validateScene({camera: {near: 20000}, figures: []}).length, 1);
+    assert.deepStrictEqual(validateScene({camera: {near: 0.1, far: 100}, figures: []}), []);
+});
+
+test("ring and star radii are compared with each other", function() {
+    assert.deepStrictEqual(figureErrors({type: "ring", params: {innerRadius: 0.5, outerRadius: 0.5}}),
+        ["figures[0].params.innerRadius: expected a number smaller than outerRadius (0.5), got 0.5"]);
+    // The default outerRadius counts too
+    assert.deepStrictEqual(figureErrors({type: "star", params: {innerRadius: 0.8}}),
+        ["figures[0].params.innerRadius: expected a number no greater than outerRadius (0.5), got 0.8"]);
+    // Radii that are invalid on their own aren't compared as well
+    assert.strictEqual(figureErrors({type: "ring", params: {innerRadius: 1, outerRadius: -1}}).length, 1);
+});
+
+test("the camera must look somewhere with a usable up direction", function() {
+    assert.deepStrictEqual(validateScene({camera: {position: [0, 0, -3.5]}, figures: []}),
+        ["camera.target: expected a point other than position [0,0,-3.5], got [0,0,-3.5]"]);
+    assert.deepStrictEqual(validateScene({camera: {mode: "orthographic", position: [1, 2, 3], target: [1, 2, 3]}, figures: []}),
+        ["camera.target: expected a point other than position [1,2,3], got [1,2,3]"]);
+    assert.deepStrictEqual(validateScene({camera: {up: [0, 0, 0]}, figures: []}),
+        ["camera.up: expected a non-zero direction, got [0,0,0]"]);
+    assert.match(validateScene({camera: {up: [0, 0, 2]}, figures: []})[0], /^camera\.up: expected a direction not along/);
+    assert.deepStrictEqual(validateScene({camera: {position: [0, 5, 0], target: [0, 0, 0], up: [0, 0, -1]}, figures: []}), []);
+});
@@ -0,0 +1,24 @@
+// Helpers shared by the geometry tests
+
+// Splits a flat TRIANGLES array into [a, b, c] point triples
+function triangles(verts)
+{
+    var list = [];
+    for (var i = 0; i < verts.length; i += 9)
+        list.push([verts.slice(i, i + 3), verts.slice(i + 3, i + 6), verts.slice(i + 6, i + 9)]);
+    return list;
+}
+
+// True when the triangle is counter-clockwise seen from outside, i.e. its normal points away from center
+// (the origin by default)
+function facesOutward(t, center)
+{
+    center = center || [0, 0, 0];
+    var u = [t[1][0] - t[0][0], t[1][1] - t[0][1], t[1][2] - t[0][2]];
+    var v = [t[2][0] - t[0][0], t[2][1] - t[0][1], t[2][2] - t[0][2]];
+    var n = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+    var out = [0, 1, 2].map(function(k) { return (t[0][k] + t[1][k] + t[2][k]) / 3 - center[k]; });
+    return n[0] * out[0] + n[1] * out[1] + n[2] * out[2] > 0;
+}
+
+module.exports = {triangles: triangles, facesOutward: facesOutward};